@@ -14,14 +14,29 @@ const AppState = {
   masterIndex: {
     exact: new Map(),
     last8: new Map(),
+    seq6: new Map(),
+    items: new Map()
   },
-  masterLastUpdated: null,
+  masterVersions: [],
+  masterQuality: null,
+  aliases: new Map(),
+  sessions: [],
+  serials: new Map(),
+  packs: new Map(),
+  recalls: [],
+  recallIndex: new Map(),
+  recallAlerts: [],
+  activeSessionId: null,
+  viewedSessionId: null,
+  pendingExpected: null,
   historyRows: [],
   currentTab: 'scan',
   filters: {
     expired: false,
     soon: false,
     missing: false,
+    repeatedSerial: false,
+    recalled: false,
     search: ''
   },
   sorting: {
@@ -34,9 +49,17 @@ const AppState = {
   },
   scanning: false,
   cameraStream: null,
+  cameraTrack: null,
+  torchOn: false,
+  decodeWorker: null,
+  multiScan: {
+    seen: new Set(),
+    batch: [],
+    image: null
+  },
   scannerInstance: null,
   pendingMasterFile: null,
-  pendingMasterData: null
+  settings: {}
 };
 
 // ============================================================================
@@ -44,7 +67,7 @@ const AppState = {
 // ============================================================================
 
 const DB_NAME = 'gs1-parser-db';
-const DB_VERSION = 1;
+const DB_VERSION = 7;
 let db = null;
 
 async function initDB() {
@@ -70,6 +93,27 @@ async function initDB() {
       if (!database.objectStoreNames.contains('settings')) {
         database.createObjectStore('settings', { keyPath: 'key' });
       }
+      if (!database.objectStoreNames.contains('aliases')) {
+        database.createObjectStore('aliases', { keyPath: 'gtin' });
+      }
+      if (!database.objectStoreNames.contains('masterVersions')) {
+        database.createObjectStore('masterVersions', { keyPath: 'id', autoIncrement: true });
+      }
+      if (!database.objectStoreNames.contains('masterSnapshots')) {
+        database.createObjectStore('masterSnapshots', { keyPath: 'versionId' });
+      }
+      if (!database.objectStoreNames.contains('sessions')) {
+        database.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+      }
+      if (!database.objectStoreNames.contains('serials')) {
+        database.createObjectStore('serials', { keyPath: 'key' });
+      }
+      if (!database.objectStoreNames.contains('packs')) {
+        database.createObjectStore('packs', { keyPath: 'key' });
+      }
+      if (!database.objectStoreNames.contains('recalls')) {
+        database.createObjectStore('recalls', { keyPath: 'id', autoIncrement: true });
+      }
     };
   });
 }
@@ -84,6 +128,26 @@ async function saveHistory(entry) {
   });
 }
 
+async function updateHistoryEntry(entry) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('history', 'readwrite');
+    const store = tx.objectStore('history');
+    const request = store.put(entry);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function updateHistoryEntries(entries) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('history', 'readwrite');
+    const store = tx.objectStore('history');
+    entries.forEach(entry => store.put(entry));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 async function loadAllHistory() {
   return new Promise((resolve, reject) => {
     const tx = db.transaction('history', 'readonly');
@@ -135,6 +199,18 @@ async function loadMasterData() {
   });
 }
 
+// Deletes and puts in one transaction, so an edit is written whole or not at all
+async function updateMasterStore(remove, put) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('master', 'readwrite');
+    const store = tx.objectStore('master');
+    remove.forEach(gtin => store.delete(gtin));
+    put.forEach(item => store.put(item));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 async function clearMasterData() {
   return new Promise((resolve, reject) => {
     const tx = db.transaction('master', 'readwrite');
@@ -145,6 +221,255 @@ async function clearMasterData() {
   });
 }
 
+// Version metadata and its snapshot are kept apart so listing versions stays cheap.
+// A snapshot is either { items } or, for an edit, { baseId, remove, put }.
+async function saveMasterVersion(version, snapshot) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['masterVersions', 'masterSnapshots'], 'readwrite');
+    const request = tx.objectStore('masterVersions').add(version);
+    request.onsuccess = () => {
+      tx.objectStore('masterSnapshots').put({ versionId: request.result, ...snapshot });
+    };
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function loadMasterVersions() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('masterVersions', 'readonly');
+    const store = tx.objectStore('masterVersions');
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function loadMasterSnapshot(versionId) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('masterSnapshots', 'readonly');
+    const store = tx.objectStore('masterSnapshots');
+    const request = store.get(versionId);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function deleteMasterVersion(versionId) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['masterVersions', 'masterSnapshots'], 'readwrite');
+    tx.objectStore('masterVersions').delete(versionId);
+    tx.objectStore('masterSnapshots').delete(versionId);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function clearMasterVersions() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['masterVersions', 'masterSnapshots'], 'readwrite');
+    tx.objectStore('masterVersions').clear();
+    tx.objectStore('masterSnapshots').clear();
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function saveSession(session) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('sessions', 'readwrite');
+    const store = tx.objectStore('sessions');
+    const request = store.put(session);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function loadSessions() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('sessions', 'readonly');
+    const store = tx.objectStore('sessions');
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function deleteSession(id) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('sessions', 'readwrite');
+    const store = tx.objectStore('sessions');
+    const request = store.delete(id);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function clearSessions() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('sessions', 'readwrite');
+    const store = tx.objectStore('sessions');
+    const request = store.clear();
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function saveSerial(record) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('serials', 'readwrite');
+    const store = tx.objectStore('serials');
+    const request = store.put(record);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function loadSerials() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('serials', 'readonly');
+    const store = tx.objectStore('serials');
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function replaceSerials(records) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('serials', 'readwrite');
+    const store = tx.objectStore('serials');
+    store.clear();
+    records.forEach(record => store.put(record));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function clearSerials() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('serials', 'readwrite');
+    const store = tx.objectStore('serials');
+    const request = store.clear();
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function savePacks(packs) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('packs', 'readwrite');
+    const store = tx.objectStore('packs');
+    packs.forEach(pack => store.put(pack));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function loadPacks() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('packs', 'readonly');
+    const store = tx.objectStore('packs');
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function clearPacks() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('packs', 'readwrite');
+    const store = tx.objectStore('packs');
+    const request = store.clear();
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function addRecalls(recalls) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('recalls', 'readwrite');
+    const store = tx.objectStore('recalls');
+    const ids = [];
+    recalls.forEach((recall, i) => {
+      const request = store.add(recall);
+      request.onsuccess = () => { ids[i] = request.result; };
+    });
+    tx.oncomplete = () => resolve(ids);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function loadRecalls() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('recalls', 'readonly');
+    const store = tx.objectStore('recalls');
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function deleteRecall(id) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('recalls', 'readwrite');
+    const store = tx.objectStore('recalls');
+    const request = store.delete(id);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function clearRecalls() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('recalls', 'readwrite');
+    const store = tx.objectStore('recalls');
+    const request = store.clear();
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function saveAlias(alias) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('aliases', 'readwrite');
+    const store = tx.objectStore('aliases');
+    const request = store.put(alias);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function loadAliases() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('aliases', 'readonly');
+    const store = tx.objectStore('aliases');
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function deleteAlias(gtin) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('aliases', 'readwrite');
+    const store = tx.objectStore('aliases');
+    const request = store.delete(gtin);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function clearAliases() {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('aliases', 'readwrite');
+    const store = tx.objectStore('aliases');
+    const request = store.clear();
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
 async function saveSetting(key, value) {
   return new Promise((resolve, reject) => {
     const tx = db.transaction('settings', 'readwrite');
@@ -165,20 +490,361 @@ async function loadSetting(key) {
   });
 }
 
+// ============================================================================
+// GS1 APPLICATION IDENTIFIERS
+// ============================================================================
+
+// [ai, data title, format, kind]. An "n" suffix on the AI expands to the
+// decimal-point variants, with the last digit giving the implied decimals.
+const GS1_AI_LIST = [
+  ['00', 'SSCC', 'N18'],
+  ['01', 'GTIN', 'N14'],
+  ['02', 'CONTENT', 'N14'],
+  ['10', 'BATCH/LOT', 'X..20'],
+  ['11', 'PROD DATE', 'N6', 'date'],
+  ['12', 'DUE DATE', 'N6', 'date'],
+  ['13', 'PACK DATE', 'N6', 'date'],
+  ['15', 'BEST BEFORE or BEST BY', 'N6', 'date'],
+  ['16', 'SELL BY', 'N6', 'date'],
+  ['17', 'USE BY OR EXPIRY', 'N6', 'date'],
+  ['20', 'VARIANT', 'N2'],
+  ['21', 'SERIAL', 'X..20'],
+  ['22', 'CPV', 'X..20'],
+  ['235', 'TPX', 'X..28'],
+  ['240', 'ADDITIONAL ID', 'X..30'],
+  ['241', 'CUST. PART No.', 'X..30'],
+  ['242', 'MTO VARIANT', 'N..6'],
+  ['243', 'PCN', 'X..20'],
+  ['250', 'SECONDARY SERIAL', 'X..30'],
+  ['251', 'REF. TO SOURCE', 'X..30'],
+  ['253', 'GDTI', 'N13+X..17'],
+  ['254', 'GLN EXTENSION COMPONENT', 'X..20'],
+  ['255', 'GCN', 'N13+N..12'],
+  ['30', 'VAR. COUNT', 'N..8'],
+  ['310n', 'NET WEIGHT (kg)', 'N6'],
+  ['311n', 'LENGTH (m)', 'N6'],
+  ['312n', 'WIDTH (m)', 'N6'],
+  ['313n', 'HEIGHT (m)', 'N6'],
+  ['314n', 'AREA (m2)', 'N6'],
+  ['315n', 'NET VOLUME (l)', 'N6'],
+  ['316n', 'NET VOLUME (m3)', 'N6'],
+  ['320n', 'NET WEIGHT (lb)', 'N6'],
+  ['321n', 'LENGTH (in)', 'N6'],
+  ['322n', 'LENGTH (ft)', 'N6'],
+  ['323n', 'LENGTH (yd)', 'N6'],
+  ['324n', 'WIDTH (in)', 'N6'],
+  ['325n', 'WIDTH (ft)', 'N6'],
+  ['326n', 'WIDTH (yd)', 'N6'],
+  ['327n', 'HEIGHT (in)', 'N6'],
+  ['328n', 'HEIGHT (ft)', 'N6'],
+  ['329n', 'HEIGHT (yd)', 'N6'],
+  ['330n', 'GROSS WEIGHT (kg)', 'N6'],
+  ['331n', 'LENGTH (m), log', 'N6'],
+  ['332n', 'WIDTH (m), log', 'N6'],
+  ['333n', 'HEIGHT (m), log', 'N6'],
+  ['334n', 'AREA (m2), log', 'N6'],
+  ['335n', 'VOLUME (l), log', 'N6'],
+  ['336n', 'VOLUME (m3), log', 'N6'],
+  ['337n', 'KG PER m2', 'N6'],
+  ['340n', 'GROSS WEIGHT (lb)', 'N6'],
+  ['341n', 'LENGTH (in), log', 'N6'],
+  ['342n', 'LENGTH (ft), log', 'N6'],
+  ['343n', 'LENGTH (yd), log', 'N6'],
+  ['344n', 'WIDTH (in), log', 'N6'],
+  ['345n', 'WIDTH (ft), log', 'N6'],
+  ['346n', 'WIDTH (yd), log', 'N6'],
+  ['347n', 'HEIGHT (in), log', 'N6'],
+  ['348n', 'HEIGHT (ft), log', 'N6'],
+  ['349n', 'HEIGHT (yd), log', 'N6'],
+  ['350n', 'AREA (in2)', 'N6'],
+  ['351n', 'AREA (ft2)', 'N6'],
+  ['352n', 'AREA (yd2)', 'N6'],
+  ['353n', 'AREA (in2), log', 'N6'],
+  ['354n', 'AREA (ft2), log', 'N6'],
+  ['355n', 'AREA (yd2), log', 'N6'],
+  ['356n', 'NET WEIGHT (t oz)', 'N6'],
+  ['357n', 'NET VOLUME (oz)', 'N6'],
+  ['360n', 'NET VOLUME (qt)', 'N6'],
+  ['361n', 'NET VOLUME (gal.)', 'N6'],
+  ['362n', 'VOLUME (qt), log', 'N6'],
+  ['363n', 'VOLUME (gal.), log', 'N6'],
+  ['364n', 'VOLUME (in3)', 'N6'],
+  ['365n', 'VOLUME (ft3)', 'N6'],
+  ['366n', 'VOLUME (yd3)', 'N6'],
+  ['367n', 'VOLUME (in3), log', 'N6'],
+  ['368n', 'VOLUME (ft3), log', 'N6'],
+  ['369n', 'VOLUME (yd3), log', 'N6'],
+  ['37', 'COUNT', 'N..8'],
+  ['390n', 'AMOUNT', 'N..15'],
+  ['391n', 'AMOUNT', 'N3+N..15'],
+  ['392n', 'PRICE', 'N..15'],
+  ['393n', 'PRICE', 'N3+N..15'],
+  ['394n', 'PRCNT OFF', 'N4'],
+  ['395n', 'PRICE/UoM', 'N6'],
+  ['400', 'ORDER NUMBER', 'X..30'],
+  ['401', 'GINC', 'X..30'],
+  ['402', 'GSIN', 'N17'],
+  ['403', 'ROUTE', 'X..30'],
+  ['410', 'SHIP TO LOC', 'N13'],
+  ['411', 'BILL TO', 'N13'],
+  ['412', 'PURCHASE FROM', 'N13'],
+  ['413', 'SHIP FOR LOC', 'N13'],
+  ['414', 'LOC No.', 'N13'],
+  ['415', 'PAY TO', 'N13'],
+  ['416', 'PROD/SERV LOC', 'N13'],
+  ['417', 'PARTY', 'N13'],
+  ['420', 'SHIP TO POST', 'X..20'],
+  ['421', 'SHIP TO POST', 'N3+X..9'],
+  ['422', 'ORIGIN', 'N3'],
+  ['423', 'COUNTRY - INITIAL PROCESS.', 'N3+N..12'],
+  ['424', 'COUNTRY - PROCESS.', 'N3'],
+  ['425', 'COUNTRY - DISASSEMBLY', 'N3+N..12'],
+  ['426', 'COUNTRY - FULL PROCESS', 'N3'],
+  ['427', 'ORIGIN SUBDIVISION', 'X..3'],
+  ['4300', 'SHIP TO COMP', 'X..35'],
+  ['4301', 'SHIP TO NAME', 'X..35'],
+  ['4302', 'SHIP TO ADD1', 'X..70'],
+  ['4303', 'SHIP TO ADD2', 'X..70'],
+  ['4304', 'SHIP TO SUB', 'X..70'],
+  ['4305', 'SHIP TO LOC', 'X..70'],
+  ['4306', 'SHIP TO REG', 'X..70'],
+  ['4307', 'SHIP TO COUNTRY', 'X2'],
+  ['4308', 'SHIP TO PHONE', 'X..30'],
+  ['4309', 'SHIP TO GEO', 'N20'],
+  ['4310', 'RTN TO COMP', 'X..35'],
+  ['4311', 'RTN TO NAME', 'X..35'],
+  ['4312', 'RTN TO ADD1', 'X..70'],
+  ['4313', 'RTN TO ADD2', 'X..70'],
+  ['4314', 'RTN TO SUB', 'X..70'],
+  ['4315', 'RTN TO LOC', 'X..70'],
+  ['4316', 'RTN TO REG', 'X..70'],
+  ['4317', 'RTN TO COUNTRY', 'X2'],
+  ['4318', 'RTN TO POST', 'X..20'],
+  ['4319', 'RTN TO PHONE', 'X..30'],
+  ['4320', 'SRV DESCRIPTION', 'X..35'],
+  ['4321', 'DANGEROUS GOODS', 'N1'],
+  ['4322', 'AUTH LEAVE', 'N1'],
+  ['4323', 'SIG REQUIRED', 'N1'],
+  ['4324', 'NBEF DEL DT', 'N10', 'datetime'],
+  ['4325', 'NAFT DEL DT', 'N10', 'datetime'],
+  ['4326', 'REL DATE', 'N6', 'date'],
+  ['4330', 'MAX TEMP F', 'N6+X..1'],
+  ['4331', 'MAX TEMP C', 'N6+X..1'],
+  ['4332', 'MIN TEMP F', 'N6+X..1'],
+  ['4333', 'MIN TEMP C', 'N6+X..1'],
+  ['7001', 'NSN', 'N13'],
+  ['7002', 'MEAT CUT', 'X..30'],
+  ['7003', 'EXPIRY TIME', 'N10', 'datetime'],
+  ['7004', 'ACTIVE POTENCY', 'N..4'],
+  ['7005', 'CATCH AREA', 'X..12'],
+  ['7006', 'FIRST FREEZE DATE', 'N6', 'date'],
+  ['7007', 'HARVEST DATE', 'N6..12'],
+  ['7008', 'AQUATIC SPECIES', 'X..3'],
+  ['7009', 'FISHING GEAR TYPE', 'X..10'],
+  ['7010', 'PROD METHOD', 'X..2'],
+  ['7011', 'TEST BY DATE', 'N6+N..4'],
+  ['7020', 'REFURB LOT', 'X..20'],
+  ['7021', 'FUNC STAT', 'X..20'],
+  ['7022', 'REV STAT', 'X..20'],
+  ['7023', 'GIAI - ASSEMBLY', 'X..30'],
+  ['7030', 'PROCESSOR # 0', 'N3+X..27'],
+  ['7031', 'PROCESSOR # 1', 'N3+X..27'],
+  ['7032', 'PROCESSOR # 2', 'N3+X..27'],
+  ['7033', 'PROCESSOR # 3', 'N3+X..27'],
+  ['7034', 'PROCESSOR # 4', 'N3+X..27'],
+  ['7035', 'PROCESSOR # 5', 'N3+X..27'],
+  ['7036', 'PROCESSOR # 6', 'N3+X..27'],
+  ['7037', 'PROCESSOR # 7', 'N3+X..27'],
+  ['7038', 'PROCESSOR # 8', 'N3+X..27'],
+  ['7039', 'PROCESSOR # 9', 'N3+X..27'],
+  ['7040', 'UIC+EXT', 'N1+X3'],
+  ['710', 'NHRN PZN', 'X..20'],
+  ['711', 'NHRN CIP', 'X..20'],
+  ['712', 'NHRN CN', 'X..20'],
+  ['713', 'NHRN DRN', 'X..20'],
+  ['714', 'NHRN AIM', 'X..20'],
+  ['715', 'NHRN NDC', 'X..20'],
+  ['7230', 'CERT # 0', 'X2+X..28'],
+  ['7231', 'CERT # 1', 'X2+X..28'],
+  ['7232', 'CERT # 2', 'X2+X..28'],
+  ['7233', 'CERT # 3', 'X2+X..28'],
+  ['7234', 'CERT # 4', 'X2+X..28'],
+  ['7235', 'CERT # 5', 'X2+X..28'],
+  ['7236', 'CERT # 6', 'X2+X..28'],
+  ['7237', 'CERT # 7', 'X2+X..28'],
+  ['7238', 'CERT # 8', 'X2+X..28'],
+  ['7239', 'CERT # 9', 'X2+X..28'],
+  ['7240', 'PROTOCOL', 'X..20'],
+  ['7241', 'AIDC MEDIA TYPE', 'N2'],
+  ['7242', 'VCN', 'X..25'],
+  ['7250', 'DOB', 'N8'],
+  ['7251', 'DOB TIME', 'N12'],
+  ['7252', 'BIO SEX', 'N1'],
+  ['7253', 'FAMILY NAME', 'X..40'],
+  ['7254', 'GIVEN NAME', 'X..40'],
+  ['7255', 'SUFFIX', 'X..10'],
+  ['7256', 'FULL NAME', 'X..90'],
+  ['7257', 'PERSON ADDR', 'X..70'],
+  ['7258', 'BIRTH SEQUENCE', 'N1+X1+N1'],
+  ['7259', 'BABY', 'X..40'],
+  ['8001', 'DIMENSIONS', 'N14'],
+  ['8002', 'CMT No.', 'X..20'],
+  ['8003', 'GRAI', 'N14+X..16'],
+  ['8004', 'GIAI', 'X..30'],
+  ['8005', 'PRICE PER UNIT', 'N6'],
+  ['8006', 'ITIP', 'N14+N2+N2'],
+  ['8007', 'IBAN', 'X..34'],
+  ['8008', 'PROD TIME', 'N8+N..4'],
+  ['8009', 'OPTSEN', 'X..50'],
+  ['8010', 'CPID', 'X..30'],
+  ['8011', 'CPID SERIAL', 'N..12'],
+  ['8012', 'VERSION', 'X..20'],
+  ['8013', 'GMN', 'X..25'],
+  ['8014', 'MUDI', 'X..25'],
+  ['8017', 'GSRN - PROVIDER', 'N18'],
+  ['8018', 'GSRN - RECIPIENT', 'N18'],
+  ['8019', 'SRIN', 'N..10'],
+  ['8020', 'REF No.', 'X..25'],
+  ['8026', 'ITIP CONTENT', 'N14+N2+N2'],
+  ['8030', 'DIGSIG', 'X..90'],
+  ['8110', 'COUPON', 'X..70'],
+  ['8111', 'POINTS', 'N4'],
+  ['8112', 'COUPON', 'X..70'],
+  ['8200', 'PRODUCT URL', 'X..70'],
+  ['90', 'INTERNAL', 'X..30'],
+  ['91', 'INTERNAL', 'X..90'],
+  ['92', 'INTERNAL', 'X..90'],
+  ['93', 'INTERNAL', 'X..90'],
+  ['94', 'INTERNAL', 'X..90'],
+  ['95', 'INTERNAL', 'X..90'],
+  ['96', 'INTERNAL', 'X..90'],
+  ['97', 'INTERNAL', 'X..90'],
+  ['98', 'INTERNAL', 'X..90'],
+  ['99', 'INTERNAL', 'X..90']
+];
+
+// AI prefixes with a predefined length that never need an FNC1 after them
+const GS1_PREDEFINED_LENGTH_PREFIXES = [
+  '00', '01', '02', '03', '04', '11', '12', '13', '14', '15', '16', '17',
+  '18', '19', '20', '31', '32', '33', '34', '35', '36', '41'
+];
+
+const GS1_AIS = buildAiDictionary(GS1_AI_LIST);
+
+function parseAiFormat(format) {
+  const components = format.split('+').map(part => {
+    const charset = part[0];
+    const [minPart, maxPart] = part.substring(1).split('..');
+    if (maxPart === undefined) {
+      const length = parseInt(minPart, 10);
+      return { charset, min: length, max: length };
+    }
+    return { charset, min: minPart ? parseInt(minPart, 10) : 1, max: parseInt(maxPart, 10) };
+  });
+  return {
+    components,
+    minLength: components.reduce((sum, c) => sum + c.min, 0),
+    maxLength: components.reduce((sum, c) => sum + c.max, 0),
+    fixed: components.every(c => c.min === c.max),
+    numeric: components.every(c => c.charset === 'N')
+  };
+}
+
+function buildAiDictionary(list) {
+  const dictionary = {};
+
+  for (const [code, title, format, kind] of list) {
+    const spec = parseAiFormat(format);
+    const variants = code.endsWith('n')
+      ? Array.from({ length: 10 }, (_, n) => ({ ai: code.slice(0, -1) + n, decimals: n }))
+      : [{ ai: code, decimals: null }];
+
+    for (const { ai, decimals } of variants) {
+      dictionary[ai] = {
+        ai,
+        title,
+        format,
+        kind: kind || null,
+        decimals,
+        ...spec,
+        predefined: GS1_PREDEFINED_LENGTH_PREFIXES.includes(ai.substring(0, 2))
+      };
+    }
+  }
+
+  return dictionary;
+}
+
+function lookupAi(str, pos = 0) {
+  for (let len = 2; len <= 4; len++) {
+    const candidate = str.substring(pos, pos + len);
+    if (candidate.length === len && GS1_AIS[candidate]) {
+      return GS1_AIS[candidate];
+    }
+  }
+  return null;
+}
+
+function formatAiValue(ai, value) {
+  const def = GS1_AIS[ai];
+  if (!def || !value) return value || '';
+
+  if (def.kind === 'date') {
+    return parseGS1Date(value).formatted || value;
+  }
+  if (def.decimals !== null && def.decimals > 0) {
+    const digits = def.format.startsWith('N3+') ? value.substring(3) : value;
+    const prefix = def.format.startsWith('N3+') ? value.substring(0, 3) + ' ' : '';
+    const padded = digits.padStart(def.decimals + 1, '0');
+    const number = `${padded.slice(0, -def.decimals)}.${padded.slice(-def.decimals)}`;
+    return prefix + number.replace(/^0+(?=\d)/, '');
+  }
+  return value;
+}
+
 // ============================================================================
 // GS1 PARSING
 // ============================================================================
 
+const GS = '\x1d';
+
+const DEFAULT_GS_SUBSTITUTES = ['<GS>', '{GS}', '[GS]', '<FNC1>', '^]', '~1', '\u241d'].join('\n');
+
+// AIM symbology identifiers (]cm) sent as a prefix by hardware scanners
+const AIM_SYMBOLOGY_IDS = {
+  ']C0': { name: 'Code 128' },
+  ']C1': { name: 'GS1-128' },
+  ']d1': { name: 'Data Matrix' },
+  ']d2': { name: 'GS1 DataMatrix' },
+  ']Q1': { name: 'QR Code' },
+  ']Q3': { name: 'GS1 QR Code' },
+  ']e0': { name: 'GS1 DataBar' },
+  ']E0': { name: 'EAN-13 / UPC-A', gtin: true },
+  ']E4': { name: 'EAN-8', gtin: true },
+  ']I1': { name: 'ITF-14', gtin: true },
+  ']J1': { name: 'GS1 DotCode' },
+  ']z1': { name: 'Aztec' }
+};
+
+const AIM_SYMBOLOGY_FAMILIES = {
+  A: 'Code 39', C: 'Code 128', d: 'Data Matrix', E: 'EAN/UPC', e: 'GS1 DataBar',
+  F: 'Codabar', G: 'Code 93', I: 'ITF', J: 'DotCode', L: 'PDF417', Q: 'QR Code', z: 'Aztec'
+};
+
 function parseGs1(raw) {
   if (!raw || typeof raw !== 'string') {
     return { valid: false, error: 'Empty or invalid input' };
   }
 
-  let cleanedRaw = raw.trim();
-  cleanedRaw = cleanedRaw.replace(/[\x1d\u001d]/g, '|');
-  
-  if (!cleanedRaw.includes('(')) {
-    cleanedRaw = convertRawToParenthesized(cleanedRaw);
+  const normalized = normalizeScanInput(raw);
+  const cleanedRaw = normalized.data;
+  let elements;
+  if (isDigitalLink(cleanedRaw)) {
+    elements = parseDigitalLink(cleanedRaw);
+  } else if (/^\(\d{2,4}\)/.test(cleanedRaw)) {
+    elements = parseBracketedString(cleanedRaw);
+  } else {
+    elements = parseElementString(cleanedRaw);
   }
 
   const result = {
@@ -193,55 +859,45 @@ function parseGs1(raw) {
     serial: '',
     qty: '1',
     productName: '',
-    matchType: 'NONE'
-  };
-
-  const aiPatterns = {
-    '01': /\(01\)(\d{14})/,
-    '01short': /\(01\)(\d{12,13})/,
-    '17': /\(17\)(\d{6})/,
-    '10': /\(10\)([A-Za-z0-9\-\/\.\s]+?)(?=\([0-9]{2}\)|$)/,
-    '21': /\(21\)([A-Za-z0-9\-\/\.\s]+?)(?=\([0-9]{2}\)|$)/,
-    '30': /\(30\)(\d+)/
+    matchType: 'NONE',
+    ais: {},
+    elements,
+    symbology: normalized.symbology,
+    symbologyId: normalized.symbologyId
   };
 
-  const gtinMatch = cleanedRaw.match(aiPatterns['01']);
-  if (gtinMatch) {
-    result.gtin14 = gtinMatch[1];
-    if (result.gtin14.startsWith('0')) {
-      result.gtin13 = result.gtin14.substring(1);
-    } else {
-      result.gtin13 = result.gtin14;
-    }
-  } else {
-    const shortGtinMatch = cleanedRaw.match(aiPatterns['01short']);
-    if (shortGtinMatch) {
-      result.gtin13 = shortGtinMatch[1].padStart(13, '0');
-      result.gtin14 = result.gtin13.padStart(14, '0');
+  for (const element of elements) {
+    if (element.ai && !(element.ai in result.ais)) {
+      result.ais[element.ai] = element.value;
     }
   }
 
-  const expiryMatch = cleanedRaw.match(aiPatterns['17']);
-  if (expiryMatch) {
-    const parsed = parseGS1Date(expiryMatch[1]);
+  const gtin = result.ais['01'];
+  if (gtin && /^\d{14}$/.test(gtin)) {
+    result.gtin14 = gtin;
+    result.gtin13 = gtin.startsWith('0') ? gtin.substring(1) : gtin;
+  } else if (gtin && /^\d{12,13}$/.test(gtin)) {
+    result.gtin13 = gtin.padStart(13, '0');
+    result.gtin14 = result.gtin13.padStart(14, '0');
+  }
+
+  if (result.ais['17']) {
+    const parsed = parseGS1Date(result.ais['17']);
     result.expiry = parsed.iso;
     result.expiryFormatted = parsed.formatted;
     result.expiryStatus = getExpiryStatus(parsed.iso);
   }
 
-  const batchMatch = cleanedRaw.match(aiPatterns['10']);
-  if (batchMatch) {
-    result.batch = batchMatch[1].trim();
+  if (result.ais['10']) {
+    result.batch = result.ais['10'].trim();
   }
 
-  const serialMatch = cleanedRaw.match(aiPatterns['21']);
-  if (serialMatch) {
-    result.serial = serialMatch[1].trim();
+  if (result.ais['21']) {
+    result.serial = result.ais['21'].trim();
   }
 
-  const qtyMatch = cleanedRaw.match(aiPatterns['30']);
-  if (qtyMatch) {
-    result.qty = qtyMatch[1];
+  if (result.ais['30'] && /^\d+$/.test(result.ais['30'])) {
+    result.qty = result.ais['30'];
   }
 
   if (!result.gtin14 && !result.gtin13) {
@@ -250,63 +906,102 @@ function parseGs1(raw) {
     result.error = 'No valid GTIN found';
   }
 
+  result.issues = validateGs1(elements);
+
   return result;
 }
 
-function convertRawToParenthesized(raw) {
-  const aiLengths = {
-    '01': 14, '02': 14, '10': 0, '11': 6, '12': 6, '13': 6,
-    '15': 6, '16': 6, '17': 6, '20': 2, '21': 0, '22': 0,
-    '30': 0, '37': 0, '240': 0, '241': 0, '242': 0, '250': 0, '251': 0
-  };
+function normalizeScanInput(raw, substitutes = getGsSubstitutes()) {
+  let data = raw.trim();
+  let symbologyId = '';
+  let symbology = '';
+  let gtinOnly = false;
+
+  const aim = data.match(/^\][A-Za-z][0-9A-Za-z]/);
+  if (aim) {
+    symbologyId = aim[0];
+    const known = AIM_SYMBOLOGY_IDS[symbologyId];
+    symbology = known ? known.name : (AIM_SYMBOLOGY_FAMILIES[symbologyId[1]] || 'Unknown');
+    gtinOnly = Boolean(known && known.gtin);
+    data = data.substring(3);
+  }
 
-  let result = '';
-  const parts = raw.split('|');
+  for (const substitute of substitutes) {
+    data = data.split(substitute).join(GS);
+  }
+  data = data.replace(/^\x1d+|\x1d+$/g, '');
 
-  for (const part of parts) {
-    let i = 0;
-    while (i < part.length) {
-      let ai = null;
-      let aiLen = 0;
+  if (/^(\d{8}|\d{12,14})$/.test(data) && (gtinOnly || (!symbologyId && hasValidCheckDigit(data)))) {
+    data = '01' + data.padStart(14, '0');
+  }
 
-      if (i + 3 <= part.length) {
-        const ai3 = part.substring(i, i + 3);
-        if (aiLengths[ai3] !== undefined) {
-          ai = ai3;
-          aiLen = aiLengths[ai3];
-        }
-      }
+  return { data, symbology, symbologyId };
+}
 
-      if (!ai && i + 2 <= part.length) {
-        const ai2 = part.substring(i, i + 2);
-        if (aiLengths[ai2] !== undefined) {
-          ai = ai2;
-          aiLen = aiLengths[ai2];
-        }
-      }
+function getGsSubstitutes() {
+  const configured = AppState.settings.gsSubstitutes ?? DEFAULT_GS_SUBSTITUTES;
+  return configured.split('\n').map(line => line.trim()).filter(Boolean);
+}
 
-      if (ai) {
-        const valueStart = i + ai.length;
-        let valueEnd;
-        if (aiLen > 0) {
-          valueEnd = Math.min(valueStart + aiLen, part.length);
-        } else {
-          valueEnd = part.length;
-        }
-        const value = part.substring(valueStart, valueEnd);
-        result += `(${ai})${value}`;
-        i = valueEnd;
-      } else {
-        i++;
-      }
+function parseBracketedString(str) {
+  const elements = [];
+  const re = /\((\d{2,4})\)/g;
+  const markers = [];
+  let m;
+
+  while ((m = re.exec(str)) !== null) {
+    markers.push({ ai: m[1], start: m.index, valueStart: re.lastIndex });
+  }
+
+  for (let i = 0; i < markers.length; i++) {
+    const end = i + 1 < markers.length ? markers[i + 1].start : str.length;
+    const value = str.substring(markers[i].valueStart, end).replace(/\x1d/g, '');
+    elements.push({ ai: markers[i].ai, value, known: Boolean(GS1_AIS[markers[i].ai]) });
+  }
+
+  return elements;
+}
+
+function parseElementString(str) {
+  const elements = [];
+  let i = 0;
+
+  while (i < str.length) {
+    if (str[i] === GS) {
+      i++;
+      continue;
+    }
+
+    const def = lookupAi(str, i);
+    if (!def) {
+      elements.push({ ai: null, value: str.substring(i).replace(/\x1d/g, ''), known: false });
+      break;
+    }
+
+    const valueStart = i + def.ai.length;
+    let valueEnd;
+    if (def.fixed) {
+      valueEnd = Math.min(valueStart + def.maxLength, str.length);
+    } else {
+      const gsPos = str.indexOf(GS, valueStart);
+      valueEnd = gsPos === -1 ? str.length : gsPos;
     }
+
+    elements.push({ ai: def.ai, value: str.substring(valueStart, valueEnd), known: true });
+    i = valueEnd;
   }
 
-  return result || raw;
+  return elements;
+}
+
+function elementsToBracketed(elements) {
+  return elements
+    .map(el => el.ai ? `(${el.ai})${el.value}` : el.value)
+    .join('');
 }
 
 function parseGS1Date(dateStr) {
-  if (!dateStr || dateStr.length !== 6) {
+  if (!dateStr || !/^\d{6}$/.test(dateStr)) {
     return { iso: '', formatted: '' };
   }
 
@@ -320,7 +1015,7 @@ function parseGS1Date(dateStr) {
     dd = new Date(year, mm, 0).getDate();
   }
 
-  if (mm < 1 || mm > 12 || dd < 1 || dd > 31) {
+  if (mm < 1 || mm > 12 || dd < 1 || dd > new Date(year, mm, 0).getDate()) {
     return { iso: '', formatted: '' };
   }
 
@@ -347,198 +1042,865 @@ function getExpiryStatus(isoDate) {
 }
 
 // ============================================================================
-// MASTER DATA MATCHING
+// GS1 DIGITAL LINK
 // ============================================================================
 
+const DL_DEFAULT_DOMAIN = 'https://id.gs1.org';
+
+// Primary key AI -> qualifier AIs, in the order they appear in the path
+const DL_PRIMARY_KEYS = {
+  '01': ['22', '10', '21'],
+  '8006': ['22', '10', '21'],
+  '8013': ['7240'],
+  '8010': ['8011'],
+  '414': ['254', '7040'],
+  '417': ['7040'],
+  '8017': ['8019'],
+  '8018': ['8019'],
+  '00': [],
+  '253': [],
+  '255': [],
+  '401': [],
+  '402': [],
+  '8003': [],
+  '8004': []
+};
+
+// Short names from earlier Digital Link releases
+const DL_SHORT_NAMES = {
+  gtin: '01', itip: '8006', gmn: '8013', cpid: '8010', gln: '414', party: '417',
+  gsrnp: '8017', gsrn: '8018', gcn: '255', sscc: '00', gdti: '253', ginc: '401',
+  gsin: '402', giai: '8004', grai: '8003', cpv: '22', lot: '10', ser: '21',
+  glnx: '254', srin: '8019', cpsn: '8011', exp: '17', expdt: '7003'
+};
+
+function isDigitalLink(str) {
+  return /^https?:\/\/[^\s/]+\/\S+$/i.test(str);
+}
+
+function resolveDigitalLinkAi(key) {
+  if (/^\d{2,4}$/.test(key)) return key;
+  return DL_SHORT_NAMES[key] || null;
+}
+
+function parseDigitalLink(str) {
+  let url;
+  try {
+    url = new URL(str);
+  } catch (e) {
+    return [{ ai: null, value: str, known: false }];
+  }
+
+  const segments = url.pathname.split('/').filter(Boolean).map(seg => {
+    try {
+      return decodeURIComponent(seg);
+    } catch (e) {
+      return seg;
+    }
+  });
+
+  // Custom domains may put any path prefix in front of the primary key
+  const start = segments.findIndex((seg, i) => {
+    const ai = resolveDigitalLinkAi(seg);
+    return ai && ai in DL_PRIMARY_KEYS && i + 1 < segments.length;
+  });
+
+  if (start === -1) {
+    const last = segments[segments.length - 1] || '';
+    const value = /^[A-Za-z0-9_-]{10,}$/.test(last)
+      ? `Compressed Digital Link URIs are not supported: ${str}`
+      : str;
+    return [{ ai: null, value, known: false }];
+  }
+
+  const elements = [];
+  for (let i = start; i + 1 < segments.length; i += 2) {
+    const ai = resolveDigitalLinkAi(segments[i]);
+    if (!ai) {
+      elements.push({ ai: null, value: segments.slice(i).join('/'), known: false });
+      break;
+    }
+    elements.push({ ai, value: normalizeDigitalLinkValue(ai, segments[i + 1]), known: Boolean(GS1_AIS[ai]) });
+  }
+
+  for (const [key, value] of url.searchParams) {
+    const ai = resolveDigitalLinkAi(key);
+    if (ai && GS1_AIS[ai]) {
+      elements.push({ ai, value: normalizeDigitalLinkValue(ai, value), known: true });
+    }
+  }
+
+  return elements;
+}
+
+function normalizeDigitalLinkValue(ai, value) {
+  if ((ai === '01' || ai === '8006') && /^\d{8}$|^\d{12,13}$/.test(value)) {
+    return value.padStart(14, '0');
+  }
+  return value;
+}
+
+function buildDigitalLink(ais, domain = DL_DEFAULT_DOMAIN) {
+  if (!ais) return '';
+
+  const primary = Object.keys(DL_PRIMARY_KEYS).find(ai => ai in ais);
+  if (!primary) return '';
+
+  const used = new Set([primary]);
+  let path = `/${primary}/${encodeURIComponent(ais[primary])}`;
+  for (const qualifier of DL_PRIMARY_KEYS[primary]) {
+    if (qualifier in ais) {
+      path += `/${qualifier}/${encodeURIComponent(ais[qualifier])}`;
+      used.add(qualifier);
+    }
+  }
+
+  const query = Object.keys(ais)
+    .filter(ai => !used.has(ai) && GS1_AIS[ai])
+    .sort()
+    .map(ai => `${ai}=${encodeURIComponent(ais[ai])}`)
+    .join('&');
+
+  return domain.replace(/\/+$/, '') + path + (query ? `?${query}` : '');
+}
+
+// ============================================================================
+// GS1 VALIDATION
+// ============================================================================
+
+// GS1 AI encodable character set 82
+const GS1_CSET82 = /^[!"%&'()*+,\-./0-9:;<=>?A-Z_a-z]*$/;
+
+// AI -> number of leading digits that end in a mod-10 check digit
+const GS1_CHECK_DIGIT_AIS = {
+  '00': 18, '01': 14, '02': 14, '253': 13, '255': 13, '402': 17,
+  '410': 13, '411': 13, '412': 13, '413': 13, '414': 13, '415': 13,
+  '416': 13, '417': 13, '8003': 14, '8006': 14, '8017': 18,
+  '8018': 18, '8026': 14
+};
+
+// [AI pattern, ...groups]: each group lists alternatives, one of which must be present
+const GS1_AI_REQUIRES = [
+  [/^(10|11|12|13|15|16|17|20|22|240|241|242|243|7003)$/, ['01', '02', '8006', '8026']],
+  [/^21$/, ['01', '8006']],
+  [/^250$/, ['01', '8006'], ['21']],
+  [/^30$/, ['01', '02']],
+  [/^37$/, ['02']],
+  [/^02$/, ['37']],
+  [/^3[1-6]\d\d$/, ['01', '02']],
+  [/^(392|393)\d$/, ['01']],
+  [/^254$/, ['414']],
+  [/^8020$/, ['415']],
+  [/^(7030|7031|7032|7033|7034|7035|7036|7037|7038|7039)$/, ['01']]
+];
+
+const GS1_AI_EXCLUDES = [
+  ['01', '02'],
+  ['01', '37'],
+  ['17', '7003']
+];
+
+function gs1CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const digit = parseInt(digits[digits.length - 1 - i], 10);
+    sum += digit * (i % 2 === 0 ? 3 : 1);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function hasValidCheckDigit(digits) {
+  if (!/^\d{2,}$/.test(digits)) return false;
+  return gs1CheckDigit(digits.slice(0, -1)) === digits.slice(-1);
+}
+
+function isValidGs1DateTime(value) {
+  if (!/^\d{10}$/.test(value)) return false;
+  const hh = parseInt(value.substring(6, 8), 10);
+  const mi = parseInt(value.substring(8, 10), 10);
+  return Boolean(parseGS1Date(value.substring(0, 6)).iso) && value.substring(4, 6) !== '00' && hh < 24 && mi < 60;
+}
+
+function validateAiValue(def, value) {
+  const issues = [];
+  const issue = (code, message) => issues.push({ ai: def.ai, severity: 'error', code, message });
+
+  if (value.length < def.minLength || value.length > def.maxLength) {
+    const expected = def.fixed ? `${def.maxLength}` : `${def.minLength}-${def.maxLength}`;
+    issue('length', `(${def.ai}) ${def.title}: length ${value.length}, expected ${expected}`);
+  }
+
+  let pos = 0;
+  def.components.forEach((component, idx) => {
+    const isLast = idx === def.components.length - 1;
+    const part = isLast ? value.substring(pos) : value.substring(pos, pos + component.max);
+    pos += part.length;
+    if (component.charset === 'N' && !/^\d*$/.test(part)) {
+      issue('charset', `(${def.ai}) ${def.title}: must be numeric`);
+    } else if (component.charset === 'X' && !GS1_CSET82.test(part)) {
+      const bad = [...part].filter(ch => !GS1_CSET82.test(ch));
+      issue('charset', `(${def.ai}) ${def.title}: invalid character(s) ${[...new Set(bad)].map(ch => JSON.stringify(ch)).join(' ')}`);
+    }
+  });
+
+  const checkLength = GS1_CHECK_DIGIT_AIS[def.ai];
+  if (checkLength && value.length >= checkLength && /^\d+$/.test(value.substring(0, checkLength))) {
+    if (!hasValidCheckDigit(value.substring(0, checkLength))) {
+      const expected = gs1CheckDigit(value.substring(0, checkLength - 1));
+      issue('check-digit', `(${def.ai}) ${def.title}: invalid check digit, expected ${expected}`);
+    }
+  }
+
+  if (def.kind === 'date' && /^\d{6}$/.test(value) && !parseGS1Date(value).iso) {
+    issue('date', `(${def.ai}) ${def.title}: ${value} is not a valid YYMMDD date`);
+  }
+  if (def.kind === 'datetime' && /^\d{10}$/.test(value) && !isValidGs1DateTime(value)) {
+    issue('date', `(${def.ai}) ${def.title}: ${value} is not a valid YYMMDDHHMM date-time`);
+  }
+
+  return issues;
+}
+
+function validateGs1(elements) {
+  const issues = [];
+  const seen = {};
+
+  if (!elements || elements.length === 0) {
+    return [{ ai: null, severity: 'error', code: 'empty', message: 'No GS1 element strings found' }];
+  }
+
+  for (const element of elements) {
+    if (!element.ai) {
+      issues.push({ ai: null, severity: 'error', code: 'unparsed', message: `Unrecognised data: ${element.value}` });
+      continue;
+    }
+
+    const def = GS1_AIS[element.ai];
+    if (!def) {
+      issues.push({ ai: element.ai, severity: 'error', code: 'unknown-ai', message: `(${element.ai}) is not a GS1 Application Identifier` });
+      continue;
+    }
+
+    if (element.ai in seen) {
+      if (seen[element.ai] !== element.value) {
+        issues.push({ ai: element.ai, severity: 'error', code: 'duplicate', message: `(${element.ai}) appears more than once with different values` });
+      } else {
+        issues.push({ ai: element.ai, severity: 'warning', code: 'duplicate', message: `(${element.ai}) appears more than once` });
+      }
+      continue;
+    }
+    seen[element.ai] = element.value;
+
+    if (element.ai === '01' && /^\d{12,13}$/.test(element.value)) {
+      issues.push({ ai: '01', severity: 'warning', code: 'length', message: `(01) GTIN: ${element.value.length} digits, padded to 14` });
+      if (!hasValidCheckDigit(element.value)) {
+        issues.push({ ai: '01', severity: 'error', code: 'check-digit', message: `(01) GTIN: invalid check digit, expected ${gs1CheckDigit(element.value.slice(0, -1))}` });
+      }
+      continue;
+    }
+
+    issues.push(...validateAiValue(def, element.value));
+  }
+
+  for (const [pattern, ...groups] of GS1_AI_REQUIRES) {
+    for (const ai of Object.keys(seen)) {
+      if (!pattern.test(ai)) continue;
+      for (const group of groups) {
+        if (!group.some(required => required in seen)) {
+          issues.push({ ai, severity: 'error', code: 'requires', message: `(${ai}) requires ${group.map(r => `(${r})`).join(' or ')}` });
+        }
+      }
+    }
+  }
+
+  for (const [a, b] of GS1_AI_EXCLUDES) {
+    if (a in seen && b in seen) {
+      issues.push({ ai: b, severity: 'error', code: 'excludes', message: `(${a}) and (${b}) must not appear together` });
+    }
+  }
+
+  return issues;
+}
+
+function summarizeIssues(issues) {
+  const errors = (issues || []).filter(i => i.severity === 'error').length;
+  const warnings = (issues || []).filter(i => i.severity === 'warning').length;
+  if (errors > 0) return { level: 'error', label: `${errors} error${errors > 1 ? 's' : ''}` };
+  if (warnings > 0) return { level: 'warning', label: `${warnings} warning${warnings > 1 ? 's' : ''}` };
+  return { level: 'ok', label: 'OK' };
+}
+
+// ============================================================================
+// MASTER DATA MATCHING
+// ============================================================================
+
+const SEQ_LENGTH = 6;
+
+// Confidence per tier; fuzzy tiers are scaled further by how much of the code agreed
+const MATCH_CONFIDENCE = {
+  EXACT: 1,
+  CONFIRMED: 0.99,
+  LAST8: 0.8,
+  SEQ6: 0.6
+};
+
+// Master GTINs are matched as GTIN-14
+function masterIndexKey(gtin) {
+  return String(gtin).replace(/\D/g, '').padStart(14, '0');
+}
+
 function buildMasterIndex(data) {
   const index = {
     exact: new Map(),
-    last8: new Map()
+    last8: new Map(),
+    seq6: new Map(),
+    items: new Map()
   };
 
   for (const item of data) {
-    const gtin = String(item.gtin).replace(/\D/g, '').padStart(14, '0');
-    const name = item.name || '';
+    addToMasterIndex(index, item);
+  }
 
-    index.exact.set(gtin, name);
-    
-    if (gtin.startsWith('0')) {
-      index.exact.set(gtin.substring(1), name);
+  return index;
+}
+
+function addToMasterIndex(index, item) {
+  const gtin = masterIndexKey(item.gtin);
+  const name = item.name || '';
+
+  index.exact.set(gtin, name);
+  index.items.set(gtin, item);
+  
+  if (gtin.startsWith('0')) {
+    index.exact.set(gtin.substring(1), name);
+  }
+
+  const last8 = gtin.slice(-8);
+  if (!index.last8.has(last8)) {
+    index.last8.set(last8, []);
+  }
+  index.last8.get(last8).push({ gtin, name });
+
+  for (let i = 0; i <= gtin.length - SEQ_LENGTH; i++) {
+    const seq = gtin.substring(i, i + SEQ_LENGTH);
+    const gtins = index.seq6.get(seq);
+    if (!gtins) {
+      index.seq6.set(seq, [gtin]);
+    } else if (gtins[gtins.length - 1] !== gtin) {
+      gtins.push(gtin);
     }
+  }
+}
+
+// Drops every entry for a GTIN-14; items still sharing it have to be added back
+function removeFromMasterIndex(index, gtin) {
+  index.exact.delete(gtin);
+  index.items.delete(gtin);
+  if (gtin.startsWith('0')) {
+    index.exact.delete(gtin.substring(1));
+  }
+
+  const last8 = gtin.slice(-8);
+  const entries = (index.last8.get(last8) || []).filter(entry => entry.gtin !== gtin);
+  if (entries.length > 0) {
+    index.last8.set(last8, entries);
+  } else {
+    index.last8.delete(last8);
+  }
 
-    const last8 = gtin.slice(-8);
-    if (!index.last8.has(last8)) {
-      index.last8.set(last8, []);
+  for (let i = 0; i <= gtin.length - SEQ_LENGTH; i++) {
+    const seq = gtin.substring(i, i + SEQ_LENGTH);
+    const gtins = (index.seq6.get(seq) || []).filter(g => g !== gtin);
+    if (gtins.length > 0) {
+      index.seq6.set(seq, gtins);
+    } else {
+      index.seq6.delete(seq);
     }
-    index.last8.get(last8).push({ gtin, name });
   }
+}
 
-  return index;
+function getMatchTiers() {
+  return {
+    last8: AppState.settings.matchLast8 !== false,
+    seq6: AppState.settings.matchSeq6 !== false
+  };
+}
+
+// Splits the best candidate's score by how many candidates share the code
+function ambiguousMatch(matchType, candidates) {
+  candidates.sort((a, b) => b.confidence - a.confidence);
+  const total = candidates.reduce((sum, c) => sum + c.confidence, 0);
+  return {
+    name: '',
+    matchType,
+    confidence: candidates[0].confidence * candidates[0].confidence / total,
+    candidates
+  };
 }
 
-function matchProduct(parsed, index) {
+function matchProduct(parsed, index, aliases = AppState.aliases, tiers = getMatchTiers()) {
   if (!parsed.valid) {
-    return { name: '', matchType: 'INVALID' };
+    return { name: '', matchType: 'INVALID', confidence: 0 };
   }
 
   if (!index || !index.exact || index.exact.size === 0) {
-    return { name: '', matchType: 'NONE' };
+    return { name: '', matchType: 'NONE', confidence: 0 };
   }
 
   const gtin14 = parsed.gtin14;
   const gtin13 = parsed.gtin13;
 
   if (index.exact.has(gtin14)) {
-    return { name: index.exact.get(gtin14), matchType: 'EXACT' };
+    return { name: index.exact.get(gtin14), matchType: 'EXACT', confidence: MATCH_CONFIDENCE.EXACT, matchedGtin: gtin14 };
   }
   if (index.exact.has(gtin13)) {
-    return { name: index.exact.get(gtin13), matchType: 'EXACT' };
+    return { name: index.exact.get(gtin13), matchType: 'EXACT', confidence: MATCH_CONFIDENCE.EXACT, matchedGtin: gtin14 };
+  }
+
+  const alias = aliases && aliases.get(gtin14);
+  if (alias && index.exact.has(alias.masterGtin)) {
+    return { name: index.exact.get(alias.masterGtin), matchType: 'CONFIRMED', confidence: MATCH_CONFIDENCE.CONFIRMED, matchedGtin: alias.masterGtin };
   }
 
   const last8 = gtin14.slice(-8);
-  if (index.last8.has(last8)) {
-    const matches = index.last8.get(last8);
+  if (tiers.last8 && index.last8.has(last8)) {
+    const matches = index.last8.get(last8).map(({ gtin, name }) => ({ gtin, name, confidence: MATCH_CONFIDENCE.LAST8 }));
     if (matches.length === 1) {
-      return { name: matches[0].name, matchType: 'LAST8' };
+      return { name: matches[0].name, matchType: 'LAST8', confidence: matches[0].confidence, matchedGtin: matches[0].gtin };
     } else if (matches.length > 1) {
-      return { name: '', matchType: 'AMBIGUOUS-LAST8' };
+      return ambiguousMatch('AMBIGUOUS-LAST8', matches);
     }
   }
 
-  const last10 = gtin14.slice(-10);
-  const seq6Matches = [];
+  if (tiers.seq6 && index.seq6) {
+    const last10 = gtin14.slice(-10);
+    const windows = last10.length - SEQ_LENGTH + 1;
+    const hits = new Map();
 
-  for (let i = 0; i <= last10.length - 6; i++) {
-    const seq6 = last10.substring(i, i + 6);
-    
-    for (const [gtin, name] of index.exact) {
-      if (gtin.includes(seq6)) {
-        const existing = seq6Matches.find(m => m.gtin === gtin);
-        if (!existing) {
-          seq6Matches.push({ gtin, name });
-        }
+    for (let i = 0; i < windows; i++) {
+      for (const gtin of index.seq6.get(last10.substring(i, i + SEQ_LENGTH)) || []) {
+        hits.set(gtin, (hits.get(gtin) || 0) + 1);
       }
     }
-  }
 
-  if (seq6Matches.length === 1) {
-    return { name: seq6Matches[0].name, matchType: 'SEQ6' };
-  } else if (seq6Matches.length > 1) {
-    return { name: '', matchType: 'AMBIGUOUS-SEQ6' };
+    const seq6Matches = [...hits].map(([gtin, count]) => ({
+      gtin,
+      name: index.exact.get(gtin),
+      confidence: MATCH_CONFIDENCE.SEQ6 * (0.5 + 0.5 * count / windows)
+    }));
+
+    if (seq6Matches.length === 1) {
+      return { name: seq6Matches[0].name, matchType: 'SEQ6', confidence: seq6Matches[0].confidence, matchedGtin: seq6Matches[0].gtin };
+    } else if (seq6Matches.length > 1) {
+      return ambiguousMatch('AMBIGUOUS-SEQ6', seq6Matches);
+    }
   }
 
-  return { name: '', matchType: 'NONE' };
+  return { name: '', matchType: 'NONE', confidence: 0 };
+}
+
+function isResolvableMatch(entry) {
+  return Boolean(entry.candidates && entry.candidates.length > 0);
+}
+
+async function resolveAmbiguousMatch(entry, masterGtin, operator) {
+  const candidate = entry.candidates.find(c => c.gtin === masterGtin);
+  if (!candidate) return;
+
+  const at = new Date().toISOString();
+  const previous = AppState.aliases.get(entry.gtin14);
+  const alias = {
+    gtin: entry.gtin14,
+    masterGtin: candidate.gtin,
+    name: candidate.name,
+    confirmedBy: operator,
+    confirmedAt: at,
+    audit: [
+      ...(previous ? previous.audit : []),
+      { masterGtin: candidate.gtin, name: candidate.name, by: operator, at, entryId: entry.id }
+    ]
+  };
+  await saveAlias(alias);
+  AppState.aliases.set(alias.gtin, alias);
+
+  entry.productName = candidate.name;
+  entry.matchType = 'CONFIRMED';
+  entry.matchedGtin = candidate.gtin;
+  entry.matchConfidence = MATCH_CONFIDENCE.CONFIRMED;
+  entry.attributes = pickScanAttributes(AppState.masterIndex.items.get(candidate.gtin));
+  entry.resolvedBy = operator;
+  entry.resolvedAt = at;
+  await updateHistoryEntry(entry);
 }
 
 // ============================================================================
 // CSV/TSV PARSING
 // ============================================================================
 
-function parseMasterFile(content, filename) {
-  const firstLine = content.split('\n')[0];
-  let delimiter = ',';
-  if (firstLine.includes('\t')) delimiter = '\t';
-  else if ((firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length) delimiter = ';';
-
-  const lines = content.split(/\r?\n/).filter(line => line.trim());
-  if (lines.length === 0) return [];
-
-  const headerLine = lines[0].toLowerCase();
-  const headers = parseCSVLine(headerLine, delimiter);
-  
-  let gtinCol = headers.findIndex(h => 
-    h.includes('gtin') || h.includes('barcode') || h.includes('ean') || h.includes('upc') || h.includes('code')
-  );
-  let nameCol = headers.findIndex(h => 
-    h.includes('name') || h.includes('description') || h.includes('product') || h.includes('item')
-  );
-
-  if (gtinCol === -1) gtinCol = 0;
-  if (nameCol === -1) nameCol = 1;
+// Header keywords per key field, in priority order; the rest of the columns are kept as attributes
+const MASTER_KEY_FIELDS = [
+  { key: 'gtin', label: 'GTIN', keywords: ['gtin', 'barcode', 'ean', 'upc', 'code'] },
+  { key: 'sku', label: 'SKU', keywords: ['sku', 'internal', 'article', 'item code', 'item no'] },
+  { key: 'name', label: 'Product Name', keywords: ['name', 'description', 'product', 'item'] },
+  { key: 'supplier', label: 'Supplier', keywords: ['supplier', 'vendor', 'manufacturer', 'brand'] },
+  { key: 'category', label: 'Category', keywords: ['category', 'department', 'group', 'class'] },
+  { key: 'packSize', label: 'Pack Size', keywords: ['pack', 'size', 'uom', 'unit'] },
+  { key: 'price', label: 'Price', keywords: ['price', 'cost', 'rrp'] }
+];
+
+function detectMasterColumns(headers) {
+  return detectColumns(headers, MASTER_KEY_FIELDS);
+}
 
-  const data = [];
-  for (let i = 1; i < lines.length; i++) {
-    const cols = parseCSVLine(lines[i], delimiter);
-    if (cols.length > Math.max(gtinCol, nameCol)) {
-      const gtin = cols[gtinCol].replace(/[^0-9]/g, '');
-      const name = cols[nameCol].trim();
-      if (gtin && gtin.length >= 8) {
-        data.push({ gtin, name });
+// Each field takes the first unclaimed header containing one of its keywords
+function detectColumns(headers, fields) {
+  const lower = headers.map(h => h.toLowerCase());
+  const columns = {};
+  const claimed = new Set();
+
+  for (const field of fields) {
+    for (const keyword of field.keywords) {
+      const col = lower.findIndex((h, i) => !claimed.has(i) && h.includes(keyword));
+      if (col !== -1) {
+        columns[field.key] = col;
+        claimed.add(col);
+        break;
       }
     }
   }
 
-  return data;
+  return columns;
 }
 
-function parseCSVLine(line, delimiter) {
-  const result = [];
-  let current = '';
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+const FILE_CHUNK_SIZE = 1024 * 1024;
+const FILE_SAMPLE_SIZE = 64 * 1024;
+
+// RFC 4180 tokenizer fed in chunks: quoted fields may contain delimiters, "" and line breaks
+function createCsvParser(delimiter) {
+  let rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
   let inQuotes = false;
+  let quoteSeen = false;
+  let afterCR = false;
+  let line = 1;
+  let rowLine = 1;
+
+  function endField() {
+    row.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+  }
+
+  function endRow() {
+    endField();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push({ line: rowLine, cols: row });
+    }
+    row = [];
+  }
+
+  function take() {
+    const completed = rows;
+    rows = [];
+    return completed;
+  }
+
+  function push(text) {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (afterCR && ch === '\n') {
+        afterCR = false;
+        if (inQuotes && !quoteSeen) field += ch;
+        continue;
+      }
+      afterCR = false;
+
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (ch === '"') {
+            field += ch;
+            continue;
+          }
+          inQuotes = false;
+        } else if (ch === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          field += ch;
+          if (ch === '\r' || ch === '\n') {
+            line++;
+            afterCR = ch === '\r';
+          }
+          continue;
+        }
+      }
 
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i++;
+      if (ch === '"' && !quoted && field.trim() === '') {
+        inQuotes = true;
+        quoted = true;
+        field = '';
+      } else if (ch === delimiter) {
+        endField();
+      } else if (ch === '\r' || ch === '\n') {
+        line++;
+        afterCR = ch === '\r';
+        endRow();
+        rowLine = line;
       } else {
-        inQuotes = !inQuotes;
+        field += ch;
       }
-    } else if (char === delimiter && !inQuotes) {
-      result.push(current.trim());
-      current = '';
+    }
+    return take();
+  }
+
+  function end() {
+    inQuotes = false;
+    quoteSeen = false;
+    if (field !== '' || quoted || row.length > 0) endRow();
+    return take();
+  }
+
+  return { push, end };
+}
+
+// Picks the delimiter that gives the most rows with the same column count
+function detectDelimiter(sample) {
+  let best = { delimiter: ',', score: 0 };
+  for (const delimiter of CSV_DELIMITERS) {
+    const counts = createCsvParser(delimiter).push(sample).slice(0, 50).map(row => row.cols.length);
+    const frequency = {};
+    counts.forEach(n => { frequency[n] = (frequency[n] || 0) + 1; });
+    const [mode, rows] = Object.entries(frequency).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || [1, 0];
+    const score = Number(mode) > 1 ? rows * 1000 + Number(mode) : 0;
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.delimiter;
+}
+
+function detectEncoding(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+  // UTF-16 without a BOM: ASCII text leaves every other byte zero
+  const length = Math.min(bytes.length, 1024);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i++) {
+    if (bytes[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  if (oddZeros > length / 4) return 'utf-16le';
+  if (evenZeros > length / 4) return 'utf-16be';
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return 'utf-8';
+  } catch (err) {
+    return 'windows-1252';
+  }
+}
+
+async function streamTextFile(file, encoding, onText, onProgress) {
+  const decoder = new TextDecoder(encoding);
+  for (let offset = 0; offset < file.size; offset += FILE_CHUNK_SIZE) {
+    const buffer = await file.slice(offset, offset + FILE_CHUNK_SIZE).arrayBuffer();
+    await onText(decoder.decode(buffer, { stream: offset + FILE_CHUNK_SIZE < file.size }));
+    if (onProgress) onProgress(Math.min(1, (offset + FILE_CHUNK_SIZE) / file.size));
+  }
+}
+
+// Streams a CSV/TSV file as parsed rows, header row included
+async function streamCsvFile(file, onRows, onProgress) {
+  const head = new Uint8Array(await file.slice(0, FILE_SAMPLE_SIZE).arrayBuffer());
+  const encoding = detectEncoding(head);
+  const delimiter = detectDelimiter(new TextDecoder(encoding).decode(head, { stream: true }));
+  const parser = createCsvParser(delimiter);
+
+  await streamTextFile(file, encoding, async (text) => {
+    const rows = parser.push(text);
+    if (rows.length > 0) await onRows(rows);
+  }, onProgress);
+
+  const rest = parser.end();
+  if (rest.length > 0) await onRows(rest);
+  return { encoding, delimiter };
+}
+
+function readDelimitedFile(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text.slice(0, FILE_SAMPLE_SIZE));
+  const parser = createCsvParser(delimiter);
+  const rows = parser.push(text).concat(parser.end());
+  const header = rows.shift();
+  return { delimiter, headers: header ? header.cols : [], rows };
+}
+
+// Same headers in the same order means the same export layout
+function getFileSignature(headers) {
+  return headers.map(h => h.trim().toLowerCase()).join('|');
+}
+
+// Spreadsheet exports may show GTINs as 6297000001234.0 or 6.297E+12. Scientific
+// notation only keeps the digits that were displayed, so it is accepted only when
+// the expanded number still carries a valid check digit.
+function parseGtinCell(raw) {
+  if (raw === undefined) return { reason: 'Row has no GTIN column' };
+  let value = raw.trim();
+  if (/^\d+(\.\d+)?e\+?\d+$/i.test(value)) {
+    value = expandScientific(value);
+    if (!hasValidCheckDigit(value)) return { reason: 'GTIN lost digits to scientific notation' };
+  } else if (/^\d+\.0+$/.test(value)) {
+    value = value.replace(/\.0+$/, '');
+  }
+
+  const gtin = value.replace(/[^0-9]/g, '');
+  if (gtin.length === 0) return { reason: 'GTIN is empty' };
+  if (gtin.length < 8) return { reason: 'GTIN has fewer than 8 digits' };
+  if (gtin.length > 14) return { reason: 'GTIN has more than 14 digits' };
+  return { gtin };
+}
+
+function mapMasterRows(headers, rows, columns) {
+  const data = [];
+  const skipped = [];
+
+  for (const { line, cols } of rows) {
+    const rawGtin = cols[columns.gtin];
+    const { gtin, reason } = parseGtinCell(rawGtin);
+    if (reason) {
+      skipped.push({ line, reason, value: rawGtin || '' });
     } else {
-      current += char;
+      data.push(buildMasterItem(gtin, headers, cols, columns));
     }
   }
-  result.push(current.trim());
-  return result;
+
+  return { data, skipped };
+}
+
+function parseMasterFile(content, filename, columns) {
+  const file = readDelimitedFile(content);
+  const mapping = columns || detectMasterColumns(file.headers);
+  if (mapping.gtin === undefined) return [];
+  return mapMasterRows(file.headers, file.rows, mapping).data;
+}
+
+function summarizeSkippedRows(counts) {
+  return Object.entries(counts).map(([reason, count]) => `${count} × ${reason}`).join(', ');
+}
+
+function buildMasterItem(gtin, headers, cols, columns) {
+  const item = { gtin };
+  for (const field of MASTER_KEY_FIELDS) {
+    if (field.key !== 'gtin') {
+      item[field.key] = columns[field.key] !== undefined ? (cols[columns[field.key]] || '').trim() : '';
+    }
+  }
+
+  item.attributes = {};
+  headers.forEach((header, i) => {
+    if (header && cols[i] !== undefined && cols[i] !== '') {
+      item.attributes[header] = cols[i];
+    }
+  });
+  return item;
+}
+
+// Resolves a key field (by key or label) or a raw column header on a master item
+function getMasterValue(item, name) {
+  const wanted = name.toLowerCase();
+  const field = MASTER_KEY_FIELDS.find(f => f.key.toLowerCase() === wanted || f.label.toLowerCase() === wanted);
+  if (field) return { label: field.label, value: item[field.key] || '' };
+  const header = Object.keys(item.attributes || {}).find(h => h.toLowerCase() === wanted);
+  return { label: header || name, value: header ? item.attributes[header] : '' };
+}
+
+function getScanAttributeNames() {
+  return String(AppState.settings.scanAttributes || '')
+    .split('\n')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+function pickScanAttributes(item) {
+  const attributes = {};
+  if (!item) return attributes;
+  for (const name of getScanAttributeNames()) {
+    const { label, value } = getMasterValue(item, name);
+    if (value !== '') attributes[label] = value;
+  }
+  return attributes;
 }
 
 // ============================================================================
 // EXPORT FUNCTIONS
 // ============================================================================
 
+const EXPORT_HEADERS = ['Scan Time', 'Raw', 'GTIN14', 'GTIN13', 'Expiry', 'Batch', 'Serial', 'Qty', 'Product Name', 'Match Type', 'Confidence', 'AIs', 'Validation', 'Findings', 'Symbology', 'Resolved By', 'Resolved At', 'Previous Match', 'Re-matched At'];
+
+function historyExportValues(row, attributeNames = getAttributeColumns([row])) {
+  return [
+    row.scanTime || '',
+    row.raw || '',
+    row.gtin14 || '',
+    row.gtin13 || '',
+    row.expiryFormatted || '',
+    row.batch || '',
+    row.serial || '',
+    row.qty || '1',
+    row.productName || '',
+    row.matchType || '',
+    row.matchConfidence !== undefined ? row.matchConfidence.toFixed(2) : '',
+    formatAisForExport(row.ais),
+    row.issues ? summarizeIssues(row.issues).label : '',
+    (row.issues || []).map(i => `${i.severity.toUpperCase()}: ${i.message}`).join('; '),
+    row.symbology || '',
+    row.resolvedBy || '',
+    row.resolvedAt || '',
+    row.matchHistory && row.matchHistory.length > 0 ? formatPreviousMatch(row.matchHistory[row.matchHistory.length - 1]) : '',
+    row.matchHistory && row.matchHistory.length > 0 ? row.matchHistory[row.matchHistory.length - 1].replacedAt : '',
+    ...attributeNames.map(name => (row.attributes && row.attributes[name]) || '')
+  ];
+}
+
+// Attribute columns in the order they first appear across the rows
+function getAttributeColumns(rows) {
+  const names = new Set();
+  for (const row of rows) {
+    Object.keys(row.attributes || {}).forEach(name => names.add(name));
+  }
+  return [...names];
+}
+
+function formatAisForExport(ais) {
+  if (!ais) return '';
+  return Object.keys(ais).sort().map(ai => `(${ai})${ais[ai]}`).join('');
+}
+
 function exportTSV(rows) {
-  const headers = ['Scan Time', 'Raw', 'GTIN14', 'GTIN13', 'Expiry', 'Batch', 'Serial', 'Qty', 'Product Name', 'Match Type'];
-  const lines = [headers.join('\t')];
+  const attributeNames = getAttributeColumns(rows);
+  const lines = [[...EXPORT_HEADERS, ...attributeNames].join('\t')];
   
   for (const row of rows) {
-    lines.push([
-      row.scanTime || '',
-      row.raw || '',
-      row.gtin14 || '',
-      row.gtin13 || '',
-      row.expiryFormatted || '',
-      row.batch || '',
-      row.serial || '',
-      row.qty || '1',
-      row.productName || '',
-      row.matchType || ''
-    ].join('\t'));
+    lines.push(historyExportValues(row, attributeNames).map(v => String(v).replace(/[\t\r\n]/g, ' ')).join('\t'));
   }
   
   return lines.join('\n');
 }
 
 function exportCSV(rows) {
-  const headers = ['Scan Time', 'Raw', 'GTIN14', 'GTIN13', 'Expiry', 'Batch', 'Serial', 'Qty', 'Product Name', 'Match Type'];
-  const lines = [headers.map(h => `"${h}"`).join(',')];
+  const attributeNames = getAttributeColumns(rows);
+  const lines = [[...EXPORT_HEADERS, ...attributeNames].map(h => `"${String(h).replace(/"/g, '""')}"`).join(',')];
   
   for (const row of rows) {
-    lines.push([
-      row.scanTime || '',
-      row.raw || '',
-      row.gtin14 || '',
-      row.gtin13 || '',
-      row.expiryFormatted || '',
-      row.batch || '',
-      row.serial || '',
-      row.qty || '1',
-      row.productName || '',
-      row.matchType || ''
-    ].map(v => `"${String(v).replace(/"/g, '""')}"`).join(','));
+    lines.push(historyExportValues(row, attributeNames).map(v => `"${String(v).replace(/"/g, '""')}"`).join(','));
   }
   
   return lines.join('\n');
@@ -550,7 +1912,12 @@ function backupJSON() {
     exportDate: new Date().toISOString(),
     history: AppState.historyRows,
     master: AppState.masterData,
-    masterLastUpdated: AppState.masterLastUpdated
+    masterLastUpdated: getMasterLastUpdated(),
+    aliases: [...AppState.aliases.values()],
+    sessions: AppState.sessions,
+    serials: [...AppState.serials.values()],
+    packs: [...AppState.packs.values()],
+    recalls: AppState.recalls
   }, null, 2);
 }
 
@@ -566,15 +1933,113 @@ async function restoreJSON(json) {
   }
   
   if (data.master && Array.isArray(data.master)) {
-    await saveMasterData(data.master);
-    AppState.masterData = data.master;
-    AppState.masterIndex = buildMasterIndex(data.master);
-    AppState.masterCount = data.master.length;
-    AppState.masterLoaded = data.master.length > 0;
-    AppState.masterLastUpdated = data.masterLastUpdated || new Date().toISOString();
+    const items = mergeMasterData([], data.master);
+    await writeMasterData(items, true);
+    await commitMasterVersion(items, { source: 'Backup restore', action: 'restore' });
+  }
+
+  if (data.aliases && Array.isArray(data.aliases)) {
+    await clearAliases();
+    for (const alias of data.aliases) {
+      await saveAlias(alias);
+    }
+    AppState.aliases = new Map(data.aliases.map(alias => [alias.gtin, alias]));
+  }
+
+  if (data.sessions && Array.isArray(data.sessions)) {
+    await clearSessions();
+    for (const session of data.sessions) {
+      await saveSession(session);
+    }
+    AppState.sessions = data.sessions;
+    await setActiveSession(null);
+  }
+
+  if (data.packs && Array.isArray(data.packs)) {
+    await clearPacks();
+    await savePacks(data.packs);
+    AppState.packs = new Map(data.packs.map(pack => [pack.key, pack]));
+  }
+
+  if (data.recalls && Array.isArray(data.recalls)) {
+    await clearRecalls();
+    await addRecalls(data.recalls);
+    setRecalls(data.recalls);
+  }
+
+  // Backups from before the registry rebuild it from their history
+  if (data.serials && Array.isArray(data.serials)) {
+    await replaceSerials(data.serials);
+    AppState.serials = new Map(data.serials.map(record => [record.key, record]));
+  } else if (data.history && Array.isArray(data.history)) {
+    AppState.serials = buildSerialRegistry(AppState.historyRows);
+    await replaceSerials([...AppState.serials.values()]);
+  }
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+const SCAN_FEEDBACK_OUTCOMES = {
+  exact: { key: 'Exact', sound: 'high', vibration: '60', color: '--success' },
+  ambiguous: { key: 'Ambiguous', sound: 'double', vibration: '60,60,60', color: '--warning' },
+  none: { key: 'None', sound: 'low', vibration: '200', color: '--info' },
+  expired: { key: 'Expired', sound: 'falling', vibration: '300,100,300', color: '--danger' },
+  invalid: { key: 'Invalid', sound: 'buzz', vibration: '500', color: '--danger' },
+  recalled: { key: 'Recalled', sound: 'alarm', vibration: '400,100,400,100,400', color: '--danger' },
+  repeated: { key: 'Repeated', sound: 'triple', vibration: '100,50,100,50,100', color: '--danger' }
+};
+
+const DEFAULT_SETTINGS = {
+  operatorName: '',
+  scanAttributes: 'Supplier\nCategory\nPack Size\nPrice\nSKU',
+  matchLast8: true,
+  matchSeq6: true,
+  digitalLinkDomain: DL_DEFAULT_DOMAIN,
+  gsSubstitutes: DEFAULT_GS_SUBSTITUTES,
+  wedgeMode: false,
+  wedgeMaxKeyGap: 50,
+  wedgeMinLength: 6,
+  cameraDeviceId: '',
+  cameraResolution: '720p',
+  multiScan: false,
+  scanFps: 10,
+  scanRegionOnly: true,
+  showScanStats: false,
+  feedbackVolume: 60,
+  verificationMode: 'local',
+  verificationUrl: 'http://localhost:8787',
+  ...Object.fromEntries(Object.values(SCAN_FEEDBACK_OUTCOMES).flatMap(outcome => [
+    [`feedback${outcome.key}Sound`, outcome.sound],
+    [`feedback${outcome.key}Vibration`, outcome.vibration],
+    [`feedback${outcome.key}Flash`, true]
+  ]))
+};
+
+async function loadSettings() {
+  for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+    const value = await loadSetting(key);
+    AppState.settings[key] = value !== undefined ? value : defaultValue;
   }
 }
 
+async function updateSetting(key, value) {
+  AppState.settings[key] = value;
+  await saveSetting(key, value);
+}
+
+function renderSettings() {
+  document.querySelectorAll('[data-setting]').forEach(input => {
+    const value = AppState.settings[input.dataset.setting];
+    if (input.type === 'checkbox') {
+      input.checked = Boolean(value);
+    } else {
+      input.value = value ?? '';
+    }
+  });
+}
+
 // ============================================================================
 // UI UTILITIES
 // ============================================================================
@@ -646,8 +2111,8 @@ function updateUI() {
   document.getElementById('masterCount').textContent = AppState.masterCount;
   document.getElementById('masterTotalProducts').textContent = AppState.masterCount;
   document.getElementById('masterUniqueGtins').textContent = AppState.masterIndex.exact.size;
-  document.getElementById('masterLastUpdated').textContent = AppState.masterLastUpdated 
-    ? formatDateTime(AppState.masterLastUpdated) 
+  document.getElementById('masterLastUpdated').textContent = getMasterLastUpdated()
+    ? formatDateTime(getMasterLastUpdated())
     : 'Never';
   
   document.getElementById('backupHistoryCount').textContent = AppState.historyRows.length;
@@ -666,14 +2131,22 @@ function updateUI() {
   }
   
   renderHistoryTable();
+  renderRepeatedSerials();
+  renderCountSession();
+  renderPacks();
+  renderRecalls();
   renderMasterPreview();
+  renderMasterQuality();
+  renderMasterVersions();
+  renderAliases();
 }
 
-function renderHistoryTable() {
-  const tbody = document.getElementById('historyBody');
-  const emptyState = document.getElementById('historyEmpty');
-  const tableContainer = document.getElementById('tableContainer');
-  
+function hasHistoryFilters() {
+  return Boolean(AppState.filters.search || AppState.filters.expired || AppState.filters.soon || AppState.filters.missing ||
+    AppState.filters.repeatedSerial || AppState.filters.recalled);
+}
+
+function getFilteredHistory() {
   let filtered = [...AppState.historyRows];
   
   if (AppState.filters.search) {
@@ -696,6 +2169,22 @@ function renderHistoryTable() {
   if (AppState.filters.missing) {
     filtered = filtered.filter(row => row.expiryStatus === 'missing');
   }
+  if (AppState.filters.repeatedSerial) {
+    filtered = filtered.filter(row => getSerialScanCount(row) > 1);
+  }
+  if (AppState.filters.recalled) {
+    filtered = filtered.filter(row => row.recall);
+  }
+
+  return filtered;
+}
+
+function renderHistoryTable() {
+  const tbody = document.getElementById('historyBody');
+  const emptyState = document.getElementById('historyEmpty');
+  const tableContainer = document.getElementById('tableContainer');
+  
+  const filtered = getFilteredHistory();
   
   filtered.sort((a, b) => {
     let aVal, bVal;
@@ -728,7 +2217,7 @@ function renderHistoryTable() {
     tbody.innerHTML = pageItems.map(row => `
       <tr>
         <td class="mono">${formatDateTime(row.scanTime)}</td>
-        <td class="mono truncate" title="${escapeHtml(row.raw)}">${escapeHtml(row.raw).substring(0, 30)}${row.raw.length > 30 ? '...' : ''}</td>
+        <td class="mono truncate" title="${escapeAttr(row.raw)}${row.symbology ? `\nSymbology: ${escapeAttr(row.symbology)}` : ''}">${escapeHtml(row.raw).substring(0, 30)}${row.raw.length > 30 ? '...' : ''}</td>
         <td class="mono">${row.gtin14 || '-'}</td>
         <td class="mono">${row.gtin13 || '-'}</td>
         <td>
@@ -736,11 +2225,20 @@ function renderHistoryTable() {
             ${row.expiryFormatted || '-'}
           </span>
         </td>
-        <td class="mono">${row.batch || '-'}</td>
-        <td class="mono">${row.serial || '-'}</td>
-        <td class="mono">${row.qty || '1'}</td>
-        <td class="truncate" title="${escapeHtml(row.productName)}">${escapeHtml(row.productName) || '-'}</td>
-        <td><span class="match-badge ${row.matchType.toLowerCase().replace('-', '')}">${row.matchType}</span></td>
+        <td class="mono">${escapeHtml(row.batch) || '-'}${row.recall ? ` <span class="expiry-badge expired" title="${escapeAttr(describeRecall(row.recall))}">Recalled</span>` : ''}</td>
+        <td class="mono">${escapeHtml(row.serial) || '-'}${renderSerialBadge(row)}${renderPackBadge(row)}</td>
+        <td class="mono">${escapeHtml(row.qty) || '1'}</td>
+        <td class="truncate" title="${escapeAttr([row.productName, ...Object.entries(row.attributes || {}).map(([name, value]) => `${name}: ${value}`)].filter(Boolean).join('\n'))}">${escapeHtml(row.productName) || '-'}</td>
+        <td>${renderMatchBadge(row)}</td>
+        <td>${renderIssuesBadge(row.issues)}</td>
+        <td>
+          <button class="btn btn-ghost btn-sm" data-action="digital-link" data-id="${row.id}" title="Share as GS1 Digital Link" ${row.ais && buildDigitalLink(row.ais) ? '' : 'disabled'}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" width="14" height="14">
+              <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>
+              <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
+            </svg>
+          </button>
+        </td>
       </tr>
     `).join('');
   }
@@ -752,6 +2250,51 @@ function renderHistoryTable() {
   document.getElementById('nextPageBtn').disabled = AppState.pagination.page >= totalPages;
 }
 
+function formatConfidence(confidence) {
+  return `${Math.round(confidence * 100)}%`;
+}
+
+function renderMatchBadge(row) {
+  const className = `match-badge ${row.matchType.toLowerCase().replace('-', '')}`;
+  const confidence = row.matchConfidence !== undefined ? `Confidence ${formatConfidence(row.matchConfidence)}` : '';
+  const previous = row.matchHistory && row.matchHistory.length > 0 ? row.matchHistory[row.matchHistory.length - 1] : null;
+  const title = [
+    row.resolvedBy ? `Confirmed by ${row.resolvedBy} at ${formatDateTime(row.resolvedAt)}` : confidence,
+    previous ? `Was ${formatPreviousMatch(previous)} until ${formatDateTime(previous.replacedAt)}` : ''
+  ].filter(Boolean).join('\n');
+  if (isResolvableMatch(row)) {
+    return `<button class="${className}" data-action="resolve" data-id="${row.id}" title="${escapeAttr(title || 'Choose the matching product')}">${row.matchType}</button>`;
+  }
+  if (canCreateProductFromScan(row)) {
+    return `<button class="${className}" data-action="create-product" data-id="${row.id}" title="Add this GTIN to master data">${row.matchType}</button>`;
+  }
+  return `<span class="${className}" title="${escapeAttr(title)}">${row.matchType}</span>`;
+}
+
+function renderAliases() {
+  const aliases = [...AppState.aliases.values()].sort((a, b) => b.confirmedAt.localeCompare(a.confirmedAt));
+  document.getElementById('aliasCount').textContent = aliases.length;
+  document.getElementById('aliasEmpty').style.display = aliases.length === 0 ? 'block' : 'none';
+  document.getElementById('aliasTable').style.display = aliases.length === 0 ? 'none' : 'table';
+  document.getElementById('aliasBody').innerHTML = aliases.map(alias => `
+    <tr>
+      <td class="mono">${alias.gtin}</td>
+      <td class="mono">${alias.masterGtin}</td>
+      <td class="truncate" title="${escapeAttr(alias.name)}">${escapeHtml(alias.name)}</td>
+      <td>${escapeHtml(alias.confirmedBy)}</td>
+      <td class="mono" title="${escapeAttr(alias.audit.map(a => `${formatDateTime(a.at)} ${a.by}: ${a.masterGtin}`).join('\n'))}">${formatDateTime(alias.confirmedAt)}${alias.audit.length > 1 ? ` (${alias.audit.length} changes)` : ''}</td>
+      <td>
+        <button class="btn btn-ghost btn-sm" data-action="forget-alias" data-gtin="${alias.gtin}" title="Forget this match">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" width="14" height="14">
+            <line x1="18" y1="6" x2="6" y2="18"></line>
+            <line x1="6" y1="6" x2="18" y2="18"></line>
+          </svg>
+        </button>
+      </td>
+    </tr>
+  `).join('');
+}
+
 function renderMasterPreview() {
   const tbody = document.getElementById('masterPreviewBody');
   const emptyState = document.getElementById('masterEmpty');
@@ -764,28 +2307,45 @@ function renderMasterPreview() {
   } else {
     emptyState.style.display = 'none';
     tbody.parentElement.parentElement.style.display = 'block';
+
+    const fields = MASTER_KEY_FIELDS.filter(field =>
+      field.key === 'gtin' || field.key === 'name' || AppState.masterData.some(item => item[field.key])
+    );
+    document.getElementById('masterPreviewHead').innerHTML = `<tr>${fields.map(field => `<th>${field.label}</th>`).join('')}<th></th></tr>`;
     
     let filtered = AppState.masterData;
     const search = searchInput.value.toLowerCase();
     if (search) {
       filtered = filtered.filter(item => 
-        item.gtin.toLowerCase().includes(search) ||
-        item.name.toLowerCase().includes(search)
+        fields.some(field => String(item[field.key] || '').toLowerCase().includes(search))
       );
     }
     
     const preview = filtered.slice(0, 100);
     tbody.innerHTML = preview.map(item => `
-      <tr>
-        <td class="mono">${item.gtin}</td>
-        <td>${escapeHtml(item.name)}</td>
+      <tr title="${escapeAttr(Object.entries(item.attributes || {}).map(([header, value]) => `${header}: ${value}`).join('\n'))}">
+        ${fields.map(field => `<td class="${field.key === 'gtin' || field.key === 'sku' ? 'mono' : ''}">${escapeHtml(String(item[field.key] || ''))}</td>`).join('')}
+        <td style="white-space: nowrap;">
+          <button class="btn btn-ghost btn-sm" data-action="edit-product" data-gtin="${escapeAttr(item.gtin)}" title="Edit product">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" width="14" height="14">
+              <path d="M12 20h9"></path>
+              <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+            </svg>
+          </button>
+          <button class="btn btn-ghost btn-sm" data-action="delete-product" data-gtin="${escapeAttr(item.gtin)}" title="Delete product">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" width="14" height="14">
+              <polyline points="3 6 5 6 21 6"></polyline>
+              <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+            </svg>
+          </button>
+        </td>
       </tr>
     `).join('');
     
     if (filtered.length > 100) {
       tbody.innerHTML += `
         <tr>
-          <td colspan="2" style="text-align: center; color: var(--text-muted);">
+          <td colspan="${fields.length + 1}" style="text-align: center; color: var(--text-muted);">
             ... and ${filtered.length - 100} more products
           </td>
         </tr>
@@ -794,6 +2354,13 @@ function renderMasterPreview() {
   }
 }
 
+function renderIssuesBadge(issues) {
+  if (!issues) return '-';
+  const summary = summarizeIssues(issues);
+  const details = issues.map(i => `${i.severity.toUpperCase()}: ${i.message}`).join('\n');
+  return `<span class="validation-badge ${summary.level}" title="${escapeAttr(details || 'No findings')}">${summary.label}</span>`;
+}
+
 function escapeHtml(str) {
   if (!str) return '';
   const div = document.createElement('div');
@@ -801,11 +2368,16 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
+// For values placed inside quoted attributes, where escapeHtml leaves quotes alone
+function escapeAttr(str) {
+  return escapeHtml(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 // ============================================================================
 // SCAN PROCESSING
 // ============================================================================
 
-async function processScan(raw) {
+async function processScan(raw, { quiet = false } = {}) {
   const parsed = parseGs1(raw);
   const match = matchProduct(parsed, AppState.masterIndex);
   
@@ -820,19 +2392,118 @@ async function processScan(raw) {
     batch: parsed.batch,
     serial: parsed.serial,
     qty: parsed.qty || '1',
-    productName: match.name,
-    matchType: parsed.valid ? match.matchType : 'INVALID'
+    ais: parsed.ais || {},
+    issues: parsed.issues || [],
+    symbology: parsed.symbology || ''
   };
+  applyMatch(entry, match);
+  if (AppState.activeSessionId !== null) {
+    entry.sessionId = AppState.activeSessionId;
+  }
+  const recall = findRecall(entry);
+  if (recall) {
+    entry.recall = recallFlag(recall, entry.scanTime, false);
+  }
+  const previousSerialScan = findPreviousSerialScan(entry);
+  if (previousSerialScan) {
+    entry.repeatedSerial = previousSerialScan;
+  }
   
-  await saveHistory(entry);
+  entry.id = await saveHistory(entry);
   AppState.historyRows.unshift(entry);
+  await registerSerial(entry);
   
   updateRecentScan(entry);
+  if (entry.repeatedSerial && !quiet) {
+    showToast(escapeHtml(describeRepeatedSerial(entry)), 'warning');
+  }
   updateUI();
   
   return entry;
 }
 
+function applyMatch(entry, match) {
+  entry.productName = match.name;
+  entry.matchType = match.matchType;
+  entry.matchConfidence = match.confidence;
+  entry.attributes = pickScanAttributes(AppState.masterIndex.items.get(match.matchedGtin));
+  entry.candidates = match.candidates || [];
+  entry.matchedGtin = match.matchedGtin || '';
+}
+
+function formatPreviousMatch(previous) {
+  return previous.productName ? `${previous.matchType}: ${previous.productName}` : previous.matchType;
+}
+
+// Runs matchProduct again for scans taken against older master data; returns only the rows it would change
+function findRematchChanges(rows) {
+  const changes = [];
+  for (const row of rows) {
+    if (row.matchType === 'INVALID' || !row.gtin14) continue;
+    const match = matchProduct({ valid: true, gtin14: row.gtin14, gtin13: row.gtin13 }, AppState.masterIndex);
+    if (match.matchType !== row.matchType || (match.matchedGtin || '') !== (row.matchedGtin || '') || (match.name || '') !== (row.productName || '')) {
+      changes.push({ row, match });
+    }
+  }
+  return changes;
+}
+
+// The match being replaced is kept on the entry so every change can be traced
+async function applyRematch(changes) {
+  const replacedAt = new Date().toISOString();
+  for (const { row, match } of changes) {
+    row.matchHistory = [...(row.matchHistory || []), {
+      productName: row.productName || '',
+      matchType: row.matchType,
+      matchConfidence: row.matchConfidence,
+      matchedGtin: row.matchedGtin || '',
+      resolvedBy: row.resolvedBy || '',
+      resolvedAt: row.resolvedAt || '',
+      replacedAt
+    }];
+    applyMatch(row, match);
+    if (match.matchType !== 'CONFIRMED') {
+      delete row.resolvedBy;
+      delete row.resolvedAt;
+    }
+  }
+  await updateHistoryEntries(changes.map(change => change.row));
+}
+
+function reviewRematch() {
+  const rows = hasHistoryFilters() ? getFilteredHistory() : AppState.historyRows;
+  const changes = findRematchChanges(rows);
+  const transitions = {};
+  for (const { row, match } of changes) {
+    const key = `${row.matchType} → ${match.matchType}`;
+    transitions[key] = (transitions[key] || 0) + 1;
+  }
+
+  const scope = hasHistoryFilters() ? `${rows.length} filtered scans` : `all ${rows.length} scans`;
+  const summary = changes.length > 0
+    ? `${changes.length} of ${scope} would change: ${Object.entries(transitions).map(([key, count]) => `${key} ${count}`).join(' · ')}`
+    : `Re-matching ${scope} against the current master data changes nothing.`;
+
+  showChangeReview('Re-match History', summary, changes.map(({ row, match }) => ({
+    change: `${row.matchType} → ${match.matchType}`,
+    badge: match.matchType === 'NONE' ? 'expired' : (row.matchType === 'NONE' ? 'ok' : 'soon'),
+    gtin: row.gtin14,
+    name: `${row.productName || '-'} → ${match.name || '-'}`
+  })), changes.length > 0 ? `Update ${changes.length} Scans` : '', async () => {
+    try {
+      await applyRematch(changes);
+    } catch (err) {
+      showToast('Re-match failed: ' + err.message, 'error');
+      return;
+    }
+    if (AppState.historyRows[0] && changes.some(change => change.row === AppState.historyRows[0])) {
+      updateRecentScan(AppState.historyRows[0]);
+    }
+    updateUI();
+    showToast(`Re-matched ${changes.length} scans`, 'success');
+  });
+}
+
 function updateRecentScan(entry) {
   const container = document.getElementById('recentScan');
   container.style.display = 'flex';
@@ -842,54 +2513,258 @@ function updateRecentScan(entry) {
   const expiryBadge = document.getElementById('recentExpiry');
   expiryBadge.textContent = entry.expiryFormatted || 'No expiry';
   expiryBadge.className = `expiry-badge ${entry.expiryStatus}`;
+
+  const resolveBtn = document.getElementById('recentResolveBtn');
+  resolveBtn.style.display = isResolvableMatch(entry) ? 'inline-flex' : 'none';
+  resolveBtn.dataset.id = entry.id;
+  resolveBtn.textContent = entry.matchType === 'CONFIRMED' ? 'Change' : `Choose (${entry.candidates.length})`;
+
+  const createBtn = document.getElementById('recentCreateBtn');
+  createBtn.style.display = canCreateProductFromScan(entry) ? 'inline-flex' : 'none';
+  createBtn.dataset.id = entry.id;
+
+  const alerts = [];
+  if (entry.recall) alerts.push(describeRecall(entry.recall));
+  if (entry.repeatedSerial) alerts.push(describeRepeatedSerial(entry));
+  if (getPackStatus(entry) !== 'active') alerts.push(`Pack is ${packStatusLabel(getPackStatus(entry)).toLowerCase()}`);
+  const alert = document.getElementById('recentAlert');
+  alert.style.display = alerts.length > 0 ? 'block' : 'none';
+  alert.textContent = alerts.join(' · ');
+
+  if (entry.recall) queueRecallAlert(entry);
+}
+
+let pickerEntry = null;
+
+function showMatchPicker(entry) {
+  pickerEntry = entry;
+  document.getElementById('pickerScanned').textContent = `${entry.gtin14} · ${entry.matchType}`;
+  document.getElementById('pickerOperator').value = AppState.settings.operatorName || '';
+  document.getElementById('pickerList').innerHTML = entry.candidates.map((candidate, i) => `
+    <label class="batch-item">
+      <input type="radio" name="pickerCandidate" value="${candidate.gtin}" ${candidate.gtin === entry.matchedGtin || (!entry.matchedGtin && i === 0) ? 'checked' : ''}>
+      <span class="batch-item-info">
+        <span class="recent-scan-gtin">${candidate.gtin}</span>
+        <span class="recent-scan-name">${escapeHtml(candidate.name || 'Unnamed product')}</span>
+      </span>
+      ${candidate.confidence !== undefined ? `<span class="batch-item-format">${formatConfidence(candidate.confidence)}</span>` : ''}
+    </label>
+  `).join('');
+  document.getElementById('pickerModal').classList.add('active');
+}
+
+function hideMatchPicker() {
+  document.getElementById('pickerModal').classList.remove('active');
+  pickerEntry = null;
+}
+
+async function confirmMatchPicker() {
+  const selected = document.querySelector('input[name="pickerCandidate"]:checked');
+  const operator = document.getElementById('pickerOperator').value.trim();
+  if (!selected || !pickerEntry) return;
+  if (!operator) {
+    showToast('Enter your name so the correction can be audited', 'error');
+    return;
+  }
+
+  const entry = pickerEntry;
+  if (operator !== AppState.settings.operatorName) {
+    await updateSetting('operatorName', operator);
+    renderSettings();
+  }
+  await resolveAmbiguousMatch(entry, selected.value, operator);
+  hideMatchPicker();
+  if (AppState.historyRows[0] === entry) {
+    updateRecentScan(entry);
+  }
+  updateUI();
+  showToast(`Matched to ${escapeHtml(entry.productName || entry.matchedGtin)}`, 'success');
+}
+
+// ============================================================================
+// SCAN FEEDBACK
+// ============================================================================
+
+// Tone sequences as [frequency Hz, duration ms, waveform]; frequency 0 is a rest
+const FEEDBACK_SOUNDS = {
+  off: [],
+  high: [[1800, 80, 'sine']],
+  double: [[1200, 70, 'sine'], [0, 60], [1200, 70, 'sine']],
+  triple: [[1500, 50, 'sine'], [0, 40], [1500, 50, 'sine'], [0, 40], [1500, 50, 'sine']],
+  low: [[440, 220, 'triangle']],
+  falling: [[880, 140, 'square'], [440, 260, 'square']],
+  buzz: [[160, 400, 'sawtooth']],
+  alarm: [[1000, 160, 'square'], [700, 160, 'square'], [1000, 160, 'square'], [700, 160, 'square']]
+};
+
+let audioContext = null;
+
+// Must first be called from a user gesture so the browser lets it play later
+function getAudioContext() {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return null;
+  if (!audioContext) {
+    audioContext = new AudioCtx();
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume();
+  }
+  return audioContext;
+}
+
+function playFeedbackSound(name) {
+  const tones = FEEDBACK_SOUNDS[name] || [];
+  const volume = Math.min(100, Math.max(0, AppState.settings.feedbackVolume)) / 100;
+  const ctx = tones.length > 0 && volume > 0 ? getAudioContext() : null;
+  if (!ctx) return;
+
+  let at = ctx.currentTime;
+  for (const [frequency, duration, type] of tones) {
+    const seconds = duration / 1000;
+    if (frequency > 0) {
+      const oscillator = ctx.createOscillator();
+      const gain = ctx.createGain();
+      oscillator.type = type;
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(volume * 0.5, at);
+      gain.gain.exponentialRampToValueAtTime(0.001, at + seconds);
+      oscillator.connect(gain).connect(ctx.destination);
+      oscillator.start(at);
+      oscillator.stop(at + seconds);
+    }
+    at += seconds;
+  }
+}
+
+function parseVibrationPattern(value) {
+  return String(value || '')
+    .split(/[\s,]+/)
+    .map(Number)
+    .filter(n => Number.isFinite(n) && n >= 0);
+}
+
+function flashElement(element, color) {
+  element.style.setProperty('--flash-color', color);
+  element.classList.remove('flash');
+  void element.offsetWidth;
+  element.classList.add('flash');
+}
+
+function getScanOutcome(result) {
+  if (result.recall) return 'recalled';
+  if (result.matchType === 'INVALID') return 'invalid';
+  if (result.repeatedSerial) return 'repeated';
+  if (result.expiryStatus === 'expired') return 'expired';
+  if (result.matchType.startsWith('AMBIGUOUS')) return 'ambiguous';
+  if (result.matchType === 'NONE') return 'none';
+  return 'exact';
+}
+
+function giveScanFeedback(outcome) {
+  const config = SCAN_FEEDBACK_OUTCOMES[outcome];
+  const settings = AppState.settings;
+
+  playFeedbackSound(settings[`feedback${config.key}Sound`]);
+
+  const pattern = parseVibrationPattern(settings[`feedback${config.key}Vibration`]);
+  if (pattern.length > 0 && navigator.vibrate) {
+    navigator.vibrate(pattern);
+  }
+
+  if (settings[`feedback${config.key}Flash`]) {
+    const color = getComputedStyle(document.documentElement).getPropertyValue(config.color).trim();
+    const target = AppState.scanning ? document.getElementById('scanFlash') : document.getElementById('recentScan');
+    flashElement(target, color);
+  }
 }
 
 // ============================================================================
 // BARCODE SCANNER
 // ============================================================================
 
-let codeReader = null;
+function getBarcodeDecoder() {
+  if (!AppState.scannerInstance) {
+    AppState.scannerInstance = createBarcodeDecoder().catch(err => {
+      AppState.scannerInstance = null;
+      throw err;
+    });
+  }
+  return AppState.scannerInstance;
+}
+
+const CAMERA_RESOLUTIONS = {
+  '720p': { width: 1280, height: 720 },
+  '1080p': { width: 1920, height: 1080 },
+  '4k': { width: 3840, height: 2160 }
+};
+
+function buildCameraConstraints(deviceId) {
+  const { width, height } = CAMERA_RESOLUTIONS[AppState.settings.cameraResolution] || CAMERA_RESOLUTIONS['720p'];
+  const video = {
+    width: { ideal: width },
+    height: { ideal: height }
+  };
+  if (deviceId) {
+    video.deviceId = { exact: deviceId };
+  } else {
+    video.facingMode = { ideal: 'environment' };
+  }
+  return { video };
+}
 
-async function initScanner() {
+async function openCameraStream() {
+  const deviceId = AppState.settings.cameraDeviceId;
   try {
-    if (!('BarcodeDetector' in window)) {
-      const { BrowserMultiFormatReader } = await import('https://unpkg.com/@aspect-build/aspect-workflows-reporter@latest');
-      codeReader = new BrowserMultiFormatReader();
+    return await navigator.mediaDevices.getUserMedia(buildCameraConstraints(deviceId));
+  } catch (err) {
+    // The preferred camera may have been unplugged since it was saved
+    if (deviceId && (err.name === 'OverconstrainedError' || err.name === 'NotFoundError')) {
+      return navigator.mediaDevices.getUserMedia(buildCameraConstraints(''));
     }
-  } catch (e) {
-    console.warn('ZXing library not available, using native BarcodeDetector if available');
+    throw err;
   }
 }
 
-async function startScanning() {
+async function attachCameraStream() {
   const video = document.getElementById('scannerVideo');
+
+  AppState.cameraStream = await openCameraStream();
+  AppState.cameraTrack = AppState.cameraStream.getVideoTracks()[0] || null;
+  AppState.torchOn = false;
+  video.srcObject = AppState.cameraStream;
+  await video.play();
+
+  await populateCameraSelect();
+  setupCameraControls();
+}
+
+function releaseCameraStream() {
+  if (AppState.cameraStream) {
+    AppState.cameraStream.getTracks().forEach(track => track.stop());
+    AppState.cameraStream = null;
+  }
+  AppState.cameraTrack = null;
+}
+
+async function startScanning() {
+  if (AppState.scanning) return;
+
   const overlay = document.getElementById('scannerOverlay');
   const viewfinder = document.getElementById('viewfinder');
   const startBtn = document.getElementById('startScanBtn');
   const stopBtn = document.getElementById('stopScanBtn');
-  const switchBtn = document.getElementById('switchCameraBtn');
 
   try {
-    const constraints = {
-      video: {
-        facingMode: { ideal: 'environment' },
-        width: { ideal: 1280 },
-        height: { ideal: 720 }
-      }
-    };
-
-    AppState.cameraStream = await navigator.mediaDevices.getUserMedia(constraints);
-    video.srcObject = AppState.cameraStream;
-    await video.play();
+    await attachCameraStream();
 
     overlay.style.display = 'none';
     viewfinder.style.display = 'block';
     startBtn.style.display = 'none';
     stopBtn.style.display = 'inline-flex';
-    switchBtn.style.display = 'inline-flex';
+    document.getElementById('cameraControls').style.display = 'flex';
     AppState.scanning = true;
 
-    startBarcodeDetection(video);
+    startBarcodeDetection(document.getElementById('scannerVideo'));
     showToast('Camera started. Point at a barcode.', 'success');
   } catch (err) {
     console.error('Camera error:', err);
@@ -905,10 +2780,7 @@ function stopScanning() {
   const stopBtn = document.getElementById('stopScanBtn');
   const switchBtn = document.getElementById('switchCameraBtn');
 
-  if (AppState.cameraStream) {
-    AppState.cameraStream.getTracks().forEach(track => track.stop());
-    AppState.cameraStream = null;
-  }
+  releaseCameraStream();
 
   video.srcObject = null;
   overlay.style.display = 'flex';
@@ -916,45 +2788,384 @@ function stopScanning() {
   startBtn.style.display = 'inline-flex';
   stopBtn.style.display = 'none';
   switchBtn.style.display = 'none';
+  document.getElementById('cameraControls').style.display = 'none';
   AppState.scanning = false;
+  renderScanStats(null);
+  clearScanOverlay();
+}
+
+async function listCameras() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter(device => device.kind === 'videoinput');
+}
+
+async function populateCameraSelect() {
+  const select = document.getElementById('cameraSelect');
+  const cameras = await listCameras();
+  const activeId = AppState.cameraTrack ? AppState.cameraTrack.getSettings().deviceId : '';
+
+  select.innerHTML = cameras.map((camera, i) => `
+    <option value="${escapeAttr(camera.deviceId)}" ${camera.deviceId === activeId ? 'selected' : ''}>
+      ${escapeHtml(camera.label || `Camera ${i + 1}`)}
+    </option>
+  `).join('');
+  select.disabled = cameras.length < 2;
+  document.getElementById('switchCameraBtn').style.display = cameras.length > 1 ? 'inline-flex' : 'none';
+}
+
+async function switchCamera(deviceId) {
+  if (!AppState.scanning) return;
+
+  if (!deviceId) {
+    const cameras = await listCameras();
+    const activeId = AppState.cameraTrack ? AppState.cameraTrack.getSettings().deviceId : '';
+    const current = cameras.findIndex(camera => camera.deviceId === activeId);
+    deviceId = cameras[(current + 1) % cameras.length]?.deviceId;
+    if (!deviceId) return;
+  }
+
+  await updateSetting('cameraDeviceId', deviceId);
+  releaseCameraStream();
+  try {
+    await attachCameraStream();
+  } catch (err) {
+    console.error('Camera error:', err);
+    showToast('Could not switch camera: ' + err.message, 'error');
+    stopScanning();
+  }
+}
+
+async function restartCamera() {
+  if (!AppState.scanning) return;
+  releaseCameraStream();
+  try {
+    await attachCameraStream();
+  } catch (err) {
+    console.error('Camera error:', err);
+    showToast('Could not restart camera: ' + err.message, 'error');
+    stopScanning();
+  }
+}
+
+function getTrackCapabilities() {
+  const track = AppState.cameraTrack;
+  return track && typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+}
+
+function setupCameraControls() {
+  const capabilities = getTrackCapabilities();
+  const torchBtn = document.getElementById('torchBtn');
+  const zoomGroup = document.getElementById('zoomGroup');
+  const zoomSlider = document.getElementById('zoomSlider');
+
+  torchBtn.style.display = capabilities.torch ? 'inline-flex' : 'none';
+  torchBtn.classList.remove('active');
+
+  if (capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min) {
+    zoomSlider.min = capabilities.zoom.min;
+    zoomSlider.max = capabilities.zoom.max;
+    zoomSlider.step = capabilities.zoom.step || 0.1;
+    zoomSlider.value = AppState.cameraTrack.getSettings().zoom || capabilities.zoom.min;
+    zoomGroup.style.display = 'flex';
+  } else {
+    zoomGroup.style.display = 'none';
+  }
 }
 
+async function toggleTorch() {
+  if (!AppState.cameraTrack) return;
+  try {
+    const torch = !AppState.torchOn;
+    await AppState.cameraTrack.applyConstraints({ advanced: [{ torch }] });
+    AppState.torchOn = torch;
+    document.getElementById('torchBtn').classList.toggle('active', torch);
+  } catch (err) {
+    showToast('Torch not available on this camera', 'warning');
+  }
+}
+
+async function setZoom(zoom) {
+  if (!AppState.cameraTrack) return;
+  try {
+    await AppState.cameraTrack.applyConstraints({ advanced: [{ zoom }] });
+  } catch (err) {
+    console.warn('Zoom failed:', err);
+  }
+}
+
+// Maps a point on the (object-fit: cover) video element to normalized frame coordinates
+function clientToVideoPoint(video, clientX, clientY) {
+  const rect = video.getBoundingClientRect();
+  const scale = Math.max(rect.width / video.videoWidth, rect.height / video.videoHeight);
+  const displayWidth = video.videoWidth * scale;
+  const displayHeight = video.videoHeight * scale;
+  return {
+    x: Math.min(1, Math.max(0, (clientX - rect.left + (displayWidth - rect.width) / 2) / displayWidth)),
+    y: Math.min(1, Math.max(0, (clientY - rect.top + (displayHeight - rect.height) / 2) / displayHeight))
+  };
+}
+
+async function focusAt(clientX, clientY) {
+  const video = document.getElementById('scannerVideo');
+  const track = AppState.cameraTrack;
+  const capabilities = getTrackCapabilities();
+  if (!track || !video.videoWidth || !capabilities.focusMode) return;
+
+  const point = clientToVideoPoint(video, clientX, clientY);
+  const focusModes = capabilities.focusMode;
+  const constraint = {};
+  if (capabilities.pointsOfInterest !== undefined || 'pointsOfInterest' in track.getSettings()) {
+    constraint.pointsOfInterest = [point];
+  }
+  if (focusModes.includes('single-shot')) {
+    constraint.focusMode = 'single-shot';
+  } else if (focusModes.includes('continuous')) {
+    constraint.focusMode = 'continuous';
+  }
+
+  const ring = document.getElementById('focusRing');
+  const rect = video.getBoundingClientRect();
+  ring.style.left = `${clientX - rect.left}px`;
+  ring.style.top = `${clientY - rect.top}px`;
+  ring.classList.remove('active');
+  void ring.offsetWidth;
+  ring.classList.add('active');
+
+  try {
+    await track.applyConstraints({ advanced: [constraint] });
+    if (constraint.focusMode === 'single-shot' && focusModes.includes('continuous')) {
+      setTimeout(() => {
+        if (AppState.cameraTrack === track) {
+          track.applyConstraints({ advanced: [{ focusMode: 'continuous' }] }).catch(() => {});
+        }
+      }, 3000);
+    }
+  } catch (err) {
+    console.warn('Focus failed:', err);
+  }
+}
+
+const SCAN_DEDUP_MS = 2000;
+
 let lastScannedCode = '';
 let lastScanTime = 0;
 
-async function startBarcodeDetection(video) {
-  if ('BarcodeDetector' in window) {
-    const detector = new BarcodeDetector({
-      formats: ['data_matrix', 'qr_code', 'code_128', 'ean_13', 'ean_8', 'upc_a', 'upc_e']
+function isRepeatScan(code) {
+  const now = Date.now();
+  if (code === lastScannedCode && now - lastScanTime <= SCAN_DEDUP_MS) {
+    return true;
+  }
+  lastScannedCode = code;
+  lastScanTime = now;
+  return false;
+}
+
+const SCAN_MAX_BACKOFF = 4;
+const SCAN_REGION_MARGIN = 0.15;
+
+let detectionSession = 0;
+
+function canDecodeInWorker() {
+  return typeof Worker !== 'undefined' && typeof createImageBitmap === 'function' && typeof OffscreenCanvas !== 'undefined';
+}
+
+function getDecodeWorker() {
+  if (!AppState.decodeWorker) {
+    const worker = new Worker('decode-worker.js');
+    const pending = new Map();
+    let nextId = 1;
+    let failure = null;
+
+    worker.addEventListener('message', (e) => {
+      const request = pending.get(e.data.id);
+      if (!request) return;
+      pending.delete(e.data.id);
+      if (e.data.error) {
+        request.reject(new Error(e.data.error));
+      } else {
+        request.resolve(e.data);
+      }
     });
 
-    const detectFrame = async () => {
-      if (!AppState.scanning) return;
+    worker.addEventListener('error', (e) => {
+      failure = new Error(e.message || 'Decode worker failed');
+      for (const request of pending.values()) {
+        request.reject(failure);
+      }
+      pending.clear();
+      AppState.decodeWorker = null;
+      worker.terminate();
+    });
+
+    // A terminated worker never answers, so anyone still holding this wrapper is told at once
+    AppState.decodeWorker = {
+      decode: (frame) => new Promise((resolve, reject) => {
+        if (failure) {
+          frame.close();
+          reject(failure);
+          return;
+        }
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ type: 'decode', id, frame }, [frame]);
+      })
+    };
+  }
+  return AppState.decodeWorker;
+}
+
+// Frame rectangle behind the viewfinder, in video pixels
+function getScanRegion(video) {
+  const { videoWidth, videoHeight } = video;
+  if (!AppState.settings.scanRegionOnly || AppState.settings.multiScan) {
+    return { x: 0, y: 0, width: videoWidth, height: videoHeight };
+  }
+
+  const rect = document.getElementById('viewfinder').getBoundingClientRect();
+  const marginX = rect.width * SCAN_REGION_MARGIN;
+  const marginY = rect.height * SCAN_REGION_MARGIN;
+  const topLeft = clientToVideoPoint(video, rect.left - marginX, rect.top - marginY);
+  const bottomRight = clientToVideoPoint(video, rect.right + marginX, rect.bottom + marginY);
+
+  const x = Math.floor(topLeft.x * videoWidth);
+  const y = Math.floor(topLeft.y * videoHeight);
+  const width = Math.ceil(bottomRight.x * videoWidth) - x;
+  const height = Math.ceil(bottomRight.y * videoHeight) - y;
+  if (width < 16 || height < 16) {
+    return { x: 0, y: 0, width: videoWidth, height: videoHeight };
+  }
+  return { x, y, width, height };
+}
+
+function offsetBarcodes(barcodes, region) {
+  return barcodes.map(barcode => ({
+    ...barcode,
+    cornerPoints: (barcode.cornerPoints || []).map(p => ({ x: p.x + region.x, y: p.y + region.y }))
+  }));
+}
+
+async function createFrameDecoder() {
+  if (canDecodeInWorker()) {
+    return {
+      inWorker: true,
+      minInterval: 0,
+      decode: async (video, region) => {
+        const frame = await createImageBitmap(video, region.x, region.y, region.width, region.height);
+        // Looked up per frame so a worker that crashed is replaced by a fresh one
+        const result = await getDecodeWorker().decode(frame);
+        return { barcodes: result.barcodes, decodeMs: result.decodeMs, decoder: result.decoder };
+      }
+    };
+  }
+
+  const decoder = await getBarcodeDecoder();
+  return {
+    inWorker: false,
+    minInterval: decoder.frameInterval,
+    decode: async (video, region) => {
+      const frame = typeof createImageBitmap === 'function'
+        ? await createImageBitmap(video, region.x, region.y, region.width, region.height)
+        : video;
+      const started = performance.now();
+      try {
+        const barcodes = await decoder.detect(frame);
+        return { barcodes, decodeMs: performance.now() - started, decoder: decoder.name };
+      } finally {
+        if (frame !== video) frame.close();
+      }
+    }
+  };
+}
+
+function renderScanStats(stats) {
+  const el = document.getElementById('scanStats');
+  if (!AppState.settings.showScanStats || !stats) {
+    el.style.display = 'none';
+    return;
+  }
+  el.style.display = 'block';
+  el.textContent = `${stats.fps.toFixed(1)} fps · ${stats.decodeMs.toFixed(0)} ms · ${stats.width}×${stats.height} · ${stats.decoder}${stats.inWorker ? ' (worker)' : ''}`;
+}
+
+async function startBarcodeDetection(video) {
+  const session = ++detectionSession;
+
+  let frameDecoder;
+  try {
+    frameDecoder = await createFrameDecoder();
+  } catch (err) {
+    console.error('Decoder error:', err);
+    showToast('Barcode decoder not available. Try uploading an image.', 'warning');
+    return;
+  }
+
+  const decodeTimes = [];
+  let backoff = 1;
+
+  const detectFrame = async () => {
+    if (!AppState.scanning || session !== detectionSession) return;
+
+    const baseInterval = Math.max(1000 / (AppState.settings.scanFps || 10), frameDecoder.minInterval);
+    const started = performance.now();
+    let found = false;
 
+    if (video.readyState >= video.HAVE_CURRENT_DATA && video.videoWidth > 0 && AppState.recallAlerts.length === 0) {
       try {
-        const barcodes = await detector.detect(video);
-        for (const barcode of barcodes) {
-          const now = Date.now();
-          if (barcode.rawValue !== lastScannedCode || now - lastScanTime > 2000) {
-            lastScannedCode = barcode.rawValue;
-            lastScanTime = now;
-            await processScan(barcode.rawValue);
-            showToast('Barcode scanned!', 'success');
+        const region = getScanRegion(video);
+        const result = await frameDecoder.decode(video, region);
+        const barcodes = offsetBarcodes(result.barcodes, region);
+        found = barcodes.length > 0;
+
+        decodeTimes.push(performance.now());
+        while (decodeTimes.length > 1 && decodeTimes[0] < performance.now() - 2000) {
+          decodeTimes.shift();
+        }
+        renderScanStats({
+          fps: decodeTimes.length > 1 ? (decodeTimes.length - 1) * 1000 / (decodeTimes[decodeTimes.length - 1] - decodeTimes[0]) : 0,
+          decodeMs: result.decodeMs,
+          width: region.width,
+          height: region.height,
+          decoder: result.decoder,
+          inWorker: frameDecoder.inWorker
+        });
+
+        const boxes = [];
+        if (AppState.settings.multiScan) {
+          for (const barcode of barcodes) {
+            const added = addToBatch(barcode);
+            boxes.push({ cornerPoints: barcode.cornerPoints, seen: !added });
+            if (added) {
+              giveScanFeedback(getScanOutcome(AppState.multiScan.batch[AppState.multiScan.batch.length - 1]));
+            }
+          }
+          if (boxes.some(box => !box.seen)) renderBatch();
+        } else {
+          for (const barcode of barcodes) {
+            const seen = isRepeatScan(barcode.rawValue);
+            boxes.push({ cornerPoints: barcode.cornerPoints, seen });
+            if (!seen) {
+              const entry = await processScan(barcode.rawValue);
+              giveScanFeedback(getScanOutcome(entry));
+              showToast('Barcode scanned!', 'success');
+            }
           }
         }
+        renderScanOverlay(video, boxes);
       } catch (err) {
         console.error('Detection error:', err);
       }
+    }
 
-      if (AppState.scanning) {
-        requestAnimationFrame(detectFrame);
-      }
-    };
+    // Back off while nothing is in view, snap back as soon as a code shows up
+    backoff = found ? 1 : Math.min(backoff * 1.25, SCAN_MAX_BACKOFF);
+    const delay = Math.max(0, baseInterval * backoff - (performance.now() - started));
 
-    detectFrame();
-  } else {
-    showToast('BarcodeDetector not supported. Try uploading an image.', 'warning');
-  }
+    if (AppState.scanning && session === detectionSession) {
+      setTimeout(detectFrame, delay);
+    }
+  };
+
+  detectFrame();
 }
 
 async function processImageFile(file) {
@@ -964,26 +3175,20 @@ async function processImageFile(file) {
       const img = new Image();
       img.onload = async () => {
         try {
-          if ('BarcodeDetector' in window) {
-            const detector = new BarcodeDetector({
-              formats: ['data_matrix', 'qr_code', 'code_128', 'ean_13', 'ean_8', 'upc_a', 'upc_e']
-            });
-            const barcodes = await detector.detect(img);
-            if (barcodes.length > 0) {
-              for (const barcode of barcodes) {
-                await processScan(barcode.rawValue);
-              }
-              showToast(`Found ${barcodes.length} barcode(s)`, 'success');
-              resolve(barcodes);
-            } else {
-              showToast('No barcode found in image', 'warning');
-              resolve([]);
-            }
+          const decoder = await getBarcodeDecoder();
+          const barcodes = await decoder.detect(img);
+          if (barcodes.length > 0) {
+            const added = barcodes.filter(barcode => addToBatch(barcode)).length;
+            AppState.multiScan.image = { img, barcodes };
+            renderBatch();
+            showToast(`Found ${barcodes.length} barcode(s), ${added} new. Review and commit below.`, 'success');
+            resolve(barcodes);
           } else {
-            showToast('BarcodeDetector not available', 'error');
-            reject(new Error('BarcodeDetector not available'));
+            showToast('No barcode found in image', 'warning');
+            resolve([]);
           }
         } catch (err) {
+          showToast('Could not decode image: ' + err.message, 'error');
           reject(err);
         }
       };
@@ -994,21 +3199,265 @@ async function processImageFile(file) {
 }
 
 // ============================================================================
-// EVENT HANDLERS
+// MULTI-BARCODE CAPTURE
 // ============================================================================
 
-function setupEventListeners() {
-  // Tab navigation
-  document.querySelectorAll('.nav-tab').forEach(tab => {
-    tab.addEventListener('click', () => {
-      const tabId = tab.dataset.tab;
-      switchTab(tabId);
-    });
-  });
+// Returns false when the code was already seen in this capture session
+function addToBatch(barcode) {
+  const { seen, batch } = AppState.multiScan;
+  if (seen.has(barcode.rawValue)) return false;
+  seen.add(barcode.rawValue);
 
-  // Scanner controls
-  document.getElementById('startScanBtn').addEventListener('click', startScanning);
+  const parsed = parseGs1(barcode.rawValue);
+  const match = matchProduct(parsed, AppState.masterIndex);
+  batch.push({
+    raw: barcode.rawValue,
+    format: barcode.format || '',
+    gtin14: parsed.gtin14,
+    productName: match.name,
+    matchType: parsed.valid ? match.matchType : 'INVALID',
+    expiryStatus: parsed.expiryStatus,
+    valid: parsed.valid,
+    selected: true
+  });
+  return true;
+}
+
+function videoToContainerPoint(video, point) {
+  const rect = video.getBoundingClientRect();
+  const scale = Math.max(rect.width / video.videoWidth, rect.height / video.videoHeight);
+  return {
+    x: point.x * scale - (video.videoWidth * scale - rect.width) / 2,
+    y: point.y * scale - (video.videoHeight * scale - rect.height) / 2
+  };
+}
+
+function drawBarcodeBoxes(ctx, boxes, mapPoint) {
+  const styles = getComputedStyle(document.documentElement);
+  const newColor = styles.getPropertyValue('--success').trim();
+  const seenColor = styles.getPropertyValue('--text-muted').trim();
+
+  ctx.lineWidth = 3;
+  ctx.lineJoin = 'round';
+  for (const box of boxes) {
+    if (!box.cornerPoints || box.cornerPoints.length < 2) continue;
+    const points = box.cornerPoints.map(mapPoint);
+    ctx.strokeStyle = box.seen ? seenColor : newColor;
+    ctx.fillStyle = box.seen ? 'rgba(93, 111, 132, 0.2)' : 'rgba(16, 185, 129, 0.2)';
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
+}
+
+function renderScanOverlay(video, boxes) {
+  const canvas = document.getElementById('scanOverlay');
+  const rect = canvas.getBoundingClientRect();
+  const dpr = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(rect.width * dpr) || canvas.height !== Math.round(rect.height * dpr)) {
+    canvas.width = Math.round(rect.width * dpr);
+    canvas.height = Math.round(rect.height * dpr);
+  }
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, rect.width, rect.height);
+  if (video && boxes.length > 0) {
+    drawBarcodeBoxes(ctx, boxes, p => videoToContainerPoint(video, p));
+  }
+}
+
+function clearScanOverlay() {
+  renderScanOverlay(null, []);
+}
+
+function getImageBoxes() {
+  const { image, batch } = AppState.multiScan;
+  if (!image) return [];
+  return image.barcodes.map(barcode => {
+    const item = batch.find(b => b.raw === barcode.rawValue);
+    return { raw: barcode.rawValue, cornerPoints: barcode.cornerPoints, seen: !item || !item.selected };
+  });
+}
+
+function renderBatchImage() {
+  const canvas = document.getElementById('batchImage');
+  const { image } = AppState.multiScan;
+  if (!image) {
+    canvas.style.display = 'none';
+    return;
+  }
+
+  canvas.style.display = 'block';
+  canvas.width = image.img.naturalWidth;
+  canvas.height = image.img.naturalHeight;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image.img, 0, 0);
+  ctx.save();
+  ctx.lineWidth = Math.max(3, canvas.width / 200);
+  drawBarcodeBoxes(ctx, getImageBoxes(), p => p);
+  ctx.restore();
+}
+
+function imageBoxAt(canvas, clientX, clientY) {
+  const rect = canvas.getBoundingClientRect();
+  const x = (clientX - rect.left) * canvas.width / rect.width;
+  const y = (clientY - rect.top) * canvas.height / rect.height;
+  return getImageBoxes().find(box => {
+    const xs = box.cornerPoints.map(p => p.x);
+    const ys = box.cornerPoints.map(p => p.y);
+    return x >= Math.min(...xs) && x <= Math.max(...xs) && y >= Math.min(...ys) && y <= Math.max(...ys);
+  });
+}
+
+function renderBatch() {
+  const { batch, seen } = AppState.multiScan;
+  const card = document.getElementById('batchCard');
+  const selected = batch.filter(item => item.selected).length;
+
+  card.style.display = batch.length > 0 || AppState.settings.multiScan ? 'block' : 'none';
+  document.getElementById('batchSummary').textContent = `${selected} of ${batch.length} selected · ${seen.size} seen this session`;
+  document.getElementById('commitBatchBtn').disabled = selected === 0;
+  document.getElementById('commitBatchLabel').textContent = `Commit ${selected}`;
+
+  document.getElementById('batchList').innerHTML = batch.map((item, index) => `
+    <label class="batch-item">
+      <input type="checkbox" data-index="${index}" ${item.selected ? 'checked' : ''}>
+      <span class="batch-item-info">
+        <span class="recent-scan-gtin">${escapeHtml(item.gtin14 || item.raw.substring(0, 32))}</span>
+        <span class="recent-scan-name">${escapeHtml(item.productName || (item.valid ? 'Unknown product' : 'Not a GS1 code'))}</span>
+      </span>
+      <span class="batch-item-format">${escapeHtml(item.format)}</span>
+    </label>
+  `).join('');
+
+  renderBatchImage();
+}
+
+async function commitBatch() {
+  const items = AppState.multiScan.batch.filter(item => item.selected);
+  for (const item of items) {
+    await processScan(item.raw);
+  }
+  AppState.multiScan.batch = [];
+  AppState.multiScan.image = null;
+  renderBatch();
+  showToast(`Committed ${items.length} scan(s)`, 'success');
+}
+
+function resetMultiScanSession() {
+  AppState.multiScan.seen.clear();
+  AppState.multiScan.batch = [];
+  AppState.multiScan.image = null;
+  clearScanOverlay();
+  renderBatch();
+}
+
+// ============================================================================
+// KEYBOARD WEDGE SCANNER
+// ============================================================================
+
+const wedge = {
+  buffer: '',
+  lastKeyTime: 0,
+  idleTimer: null
+};
+
+function isGroupSeparatorKey(e) {
+  return e.key === GS || (e.ctrlKey && (e.key === ']' || e.code === 'BracketRight'));
+}
+
+function handleWedgeKeydown(e) {
+  if (!AppState.settings.wedgeMode || AppState.currentTab !== 'scan' || AppState.recallAlerts.length > 0) return;
+  if (e.target.closest && e.target.closest('input:not([type="checkbox"]), textarea, select, [contenteditable="true"]')) return;
+
+  const maxGap = AppState.settings.wedgeMaxKeyGap;
+  const now = performance.now();
+  if (now - wedge.lastKeyTime > maxGap) {
+    wedge.buffer = '';
+  }
+  wedge.lastKeyTime = now;
+  clearTimeout(wedge.idleTimer);
+
+  if (e.key === 'Enter' || e.key === 'Tab') {
+    if (wedge.buffer.length >= AppState.settings.wedgeMinLength) {
+      e.preventDefault();
+      completeWedgeBurst();
+    }
+    wedge.buffer = '';
+    return;
+  }
+
+  let char = null;
+  if (isGroupSeparatorKey(e)) {
+    e.preventDefault();
+    char = GS;
+  } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    char = e.key;
+  }
+  if (!char) return;
+
+  wedge.buffer += char;
+
+  // Scanners configured without a terminator: the burst ends when the keys stop
+  wedge.idleTimer = setTimeout(() => {
+    if (wedge.buffer.length >= AppState.settings.wedgeMinLength) {
+      completeWedgeBurst();
+    }
+    wedge.buffer = '';
+  }, maxGap * 3);
+}
+
+async function completeWedgeBurst() {
+  const raw = wedge.buffer;
+  wedge.buffer = '';
+  clearTimeout(wedge.idleTimer);
+
+  if (isRepeatScan(raw)) return;
+
+  const entry = await processScan(raw);
+  giveScanFeedback(getScanOutcome(entry));
+  document.getElementById('wedgeLastScan').textContent = `Last capture: ${formatDateTime(new Date())}`;
+  showToast('Barcode scanned!', 'success');
+}
+
+function renderWedgeStatus() {
+  const badge = document.getElementById('wedgeStatus');
+  badge.textContent = AppState.settings.wedgeMode ? 'Listening' : 'Off';
+  badge.className = `expiry-badge ${AppState.settings.wedgeMode ? 'ok' : 'missing'}`;
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+function setupEventListeners() {
+  // Tab navigation
+  document.querySelectorAll('.nav-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      const tabId = tab.dataset.tab;
+      switchTab(tabId);
+    });
+  });
+
+  // Scanner controls
+  document.getElementById('startScanBtn').addEventListener('click', () => {
+    getAudioContext();
+    startScanning();
+  });
   document.getElementById('stopScanBtn').addEventListener('click', stopScanning);
+  document.getElementById('switchCameraBtn').addEventListener('click', () => switchCamera());
+  document.getElementById('cameraSelect').addEventListener('change', (e) => switchCamera(e.target.value));
+  document.getElementById('torchBtn').addEventListener('click', toggleTorch);
+  document.getElementById('zoomSlider').addEventListener('input', (e) => setZoom(Number(e.target.value)));
+  document.getElementById('scannerContainer').addEventListener('click', (e) => {
+    if (AppState.scanning) {
+      focusAt(e.clientX, e.clientY);
+    }
+  });
   
   // Image upload
   document.getElementById('imageUpload').addEventListener('change', async (e) => {
@@ -1018,6 +3467,41 @@ function setupEventListeners() {
     }
   });
 
+  document.querySelectorAll('[data-feedback-test]').forEach(btn => {
+    btn.addEventListener('click', () => giveScanFeedback(btn.dataset.feedbackTest));
+  });
+
+  document.getElementById('testVerificationBtn').addEventListener('click', async () => {
+    const adapter = createVerificationAdapter(AppState.settings);
+    try {
+      await adapter.check();
+      showToast(`Connected: ${escapeHtml(adapter.name)}`, 'success');
+    } catch (err) {
+      showToast(escapeHtml(err.message), 'error');
+    }
+  });
+
+  // Multi-barcode batch
+  document.getElementById('batchList').addEventListener('change', (e) => {
+    const item = AppState.multiScan.batch[Number(e.target.dataset.index)];
+    if (item) {
+      item.selected = e.target.checked;
+      renderBatch();
+    }
+  });
+
+  document.getElementById('batchImage').addEventListener('click', (e) => {
+    const box = imageBoxAt(e.currentTarget, e.clientX, e.clientY);
+    const item = box && AppState.multiScan.batch.find(b => b.raw === box.raw);
+    if (item) {
+      item.selected = !item.selected;
+      renderBatch();
+    }
+  });
+
+  document.getElementById('commitBatchBtn').addEventListener('click', commitBatch);
+  document.getElementById('newBatchBtn').addEventListener('click', resetMultiScanSession);
+
   // Manual entry
   document.getElementById('manualAddBtn').addEventListener('click', async () => {
     const input = document.getElementById('manualInput');
@@ -1035,18 +3519,30 @@ function setupEventListeners() {
     }
   });
 
+  document.getElementById('manualInput').addEventListener('keydown', (e) => {
+    if (isGroupSeparatorKey(e)) {
+      e.preventDefault();
+      e.target.setRangeText(GS, e.target.selectionStart, e.target.selectionEnd, 'end');
+    }
+  });
+
+  // Keyboard wedge scanner
+  document.addEventListener('keydown', handleWedgeKeydown);
+
   // Bulk paste
   document.getElementById('processBulkBtn').addEventListener('click', async () => {
     const input = document.getElementById('bulkInput');
     const lines = input.value.split('\n').filter(line => line.trim());
     
-    let valid = 0, invalid = 0, matched = 0;
+    let valid = 0, invalid = 0, matched = 0, repeated = 0, recalled = 0;
     
     for (const line of lines) {
-      const entry = await processScan(line.trim());
+      const entry = await processScan(line.trim(), { quiet: true });
       if (entry.matchType !== 'INVALID') valid++;
       else invalid++;
       if (entry.productName) matched++;
+      if (entry.repeatedSerial) repeated++;
+      if (entry.recall) recalled++;
     }
     
     document.getElementById('bulkTotal').textContent = lines.length;
@@ -1054,7 +3550,12 @@ function setupEventListeners() {
     document.getElementById('bulkInvalid').textContent = invalid;
     document.getElementById('bulkMatched').textContent = matched;
     
-    showToast(`Processed ${lines.length} entries`, 'success');
+    if (recalled > 0 || repeated > 0) {
+      const notes = [recalled > 0 ? `${recalled} recalled` : '', repeated > 0 ? `${repeated} repeat a serial scanned before` : ''].filter(Boolean);
+      showToast(`Processed ${lines.length} entries; ${notes.join(', ')}`, 'warning');
+    } else {
+      showToast(`Processed ${lines.length} entries`, 'success');
+    }
     switchTab('history');
   });
 
@@ -1110,6 +3611,27 @@ function setupEventListeners() {
     renderHistoryTable();
   });
 
+  document.getElementById('filterRepeatedSerial').addEventListener('click', (e) => {
+    AppState.filters.repeatedSerial = !AppState.filters.repeatedSerial;
+    e.currentTarget.classList.toggle('active', AppState.filters.repeatedSerial);
+    AppState.pagination.page = 1;
+    renderHistoryTable();
+  });
+
+  document.getElementById('exportRepeatedSerialsBtn').addEventListener('click', exportRepeatedSerials);
+
+  document.getElementById('filterRecalled').addEventListener('click', (e) => {
+    AppState.filters.recalled = !AppState.filters.recalled;
+    e.currentTarget.classList.toggle('active', AppState.filters.recalled);
+    AppState.pagination.page = 1;
+    renderHistoryTable();
+  });
+
+  document.getElementById('packStatusBtn').addEventListener('click', () => {
+    const rows = hasHistoryFilters() ? getFilteredHistory() : AppState.historyRows;
+    showPackStatusModal(rows, hasHistoryFilters() ? `${rows.length} filtered scans` : `all ${rows.length} scans`);
+  });
+
   document.getElementById('sortSelect').addEventListener('change', (e) => {
     const [field, dir] = e.target.value.split('-');
     AppState.sorting.field = field;
@@ -1141,18 +3663,114 @@ function setupEventListeners() {
     showToast('CSV exported', 'success');
   });
 
+  document.getElementById('rematchBtn').addEventListener('click', () => {
+    if (AppState.historyRows.length > 0) reviewRematch();
+  });
+
+  document.getElementById('historyBody').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action="resolve"]');
+    const row = button && AppState.historyRows.find(r => String(r.id) === button.dataset.id);
+    if (row) showMatchPicker(row);
+  });
+
+  document.getElementById('recentResolveBtn').addEventListener('click', (e) => {
+    const row = AppState.historyRows.find(r => String(r.id) === e.currentTarget.dataset.id);
+    if (row) showMatchPicker(row);
+  });
+
+  document.getElementById('recentCreateBtn').addEventListener('click', (e) => {
+    const row = AppState.historyRows.find(r => String(r.id) === e.currentTarget.dataset.id);
+    if (row) showProductEditor(null, row);
+  });
+
+  document.getElementById('historyBody').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action="create-product"]');
+    const row = button && AppState.historyRows.find(r => String(r.id) === button.dataset.id);
+    if (row) showProductEditor(null, row);
+  });
+
+  // Pack status
+  document.getElementById('closePackStatusBtn').addEventListener('click', hidePackStatusModal);
+  document.getElementById('cancelPackStatusBtn').addEventListener('click', hidePackStatusModal);
+  document.getElementById('packReviewBtn').addEventListener('click', reviewPackStatusChange);
+  document.getElementById('packVerifyBtn').addEventListener('click', () => {
+    const packs = packScope.packs;
+    hidePackStatusModal();
+    runPackVerification(packs);
+  });
+  document.getElementById('packFilter').addEventListener('change', renderPacks);
+  document.getElementById('verifyShownPacksBtn').addEventListener('click', () => runPackVerification(getShownPacks()));
+
+  // Recalls
+  document.getElementById('recallFileInput').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      handleRecallFile(e.target.files[0]);
+      e.target.value = '';
+    }
+  });
+  document.getElementById('recallFilter').addEventListener('change', renderRecalls);
+  document.getElementById('exportExposureBtn').addEventListener('click', exportRecallExposure);
+  document.getElementById('clearRecallsBtn').addEventListener('click', () => {
+    showConfirm('Clear Recalls', `Remove all ${AppState.recalls.length} recalls? Scans lose their recall flags.`, async () => {
+      await removeRecalls(AppState.recalls.map(recall => recall.id));
+      showToast('Recalls cleared', 'success');
+    });
+  });
+  document.getElementById('recallBody').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action="delete-recall"]');
+    if (button) removeRecalls([Number(button.dataset.id)]);
+  });
+  document.getElementById('acknowledgeRecallBtn').addEventListener('click', () => acknowledgeRecallAlerts(false));
+  document.getElementById('acknowledgeAllRecallsBtn').addEventListener('click', () => acknowledgeRecallAlerts(true));
+
+  document.getElementById('closeProductBtn').addEventListener('click', hideProductEditor);
+  document.getElementById('cancelProductBtn').addEventListener('click', hideProductEditor);
+  document.getElementById('saveProductBtn').addEventListener('click', saveProductEditor);
+
+  document.getElementById('closePickerBtn').addEventListener('click', hideMatchPicker);
+  document.getElementById('cancelPickerBtn').addEventListener('click', hideMatchPicker);
+  document.getElementById('confirmPickerBtn').addEventListener('click', confirmMatchPicker);
+
+  document.getElementById('aliasBody').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action="forget-alias"]');
+    if (!button) return;
+    showConfirm('Forget Match', `Scans of ${button.dataset.gtin} will need to be resolved again. Continue?`, async () => {
+      await deleteAlias(button.dataset.gtin);
+      AppState.aliases.delete(button.dataset.gtin);
+      updateUI();
+      showToast('Confirmed match removed', 'success');
+    });
+  });
+
+  document.getElementById('historyBody').addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-action="digital-link"]');
+    if (!button) return;
+    const row = AppState.historyRows.find(r => String(r.id) === button.dataset.id);
+    const link = row && buildDigitalLink(row.ais, AppState.settings.digitalLinkDomain);
+    if (!link) return;
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: row.productName || row.gtin14, url: link });
+      } catch (err) {
+        // Share sheet dismissed
+      }
+    } else {
+      await navigator.clipboard.writeText(link);
+      showToast('Digital Link copied to clipboard', 'success');
+    }
+  });
+
   document.getElementById('copyLastBtn').addEventListener('click', () => {
     if (AppState.historyRows.length > 0) {
       const last = AppState.historyRows[0];
-      const tsv = [last.scanTime, last.raw, last.gtin14, last.gtin13, last.expiryFormatted, 
-                   last.batch, last.serial, last.qty, last.productName, last.matchType].join('\t');
+      const tsv = historyExportValues(last).join('\t');
       navigator.clipboard.writeText(tsv);
       showToast('Copied to clipboard', 'success');
     }
   });
 
   document.getElementById('clearHistoryBtn').addEventListener('click', () => {
-    showConfirm('Clear History', 'Are you sure you want to delete all scan history? This cannot be undone.', async () => {
+    showConfirm('Clear History', 'Are you sure you want to delete all scan history? This cannot be undone. Serials already scanned stay registered.', async () => {
       await clearHistory();
       AppState.historyRows = [];
       updateUI();
@@ -1189,50 +3807,172 @@ function setupEventListeners() {
     }
   });
 
-  document.getElementById('appendMasterBtn').addEventListener('click', async () => {
-    if (AppState.pendingMasterData) {
-      await appendMasterData(AppState.pendingMasterData);
-      AppState.masterData = [...AppState.masterData, ...AppState.pendingMasterData];
-      AppState.masterIndex = buildMasterIndex(AppState.masterData);
-      AppState.masterCount = AppState.masterData.length;
-      AppState.masterLoaded = true;
-      AppState.masterLastUpdated = new Date().toISOString();
-      AppState.pendingMasterData = null;
-      document.getElementById('appendMasterBtn').disabled = true;
-      document.getElementById('replaceMasterBtn').disabled = true;
-      updateUI();
-      showToast('Master data appended', 'success');
+  document.getElementById('appendMasterBtn').addEventListener('click', () => {
+    if (canImportMaster()) reviewMasterImport(false);
+  });
+
+  document.getElementById('replaceMasterBtn').addEventListener('click', () => {
+    if (canImportMaster()) reviewMasterImport(true);
+  });
+
+  document.getElementById('importMappingBody').addEventListener('change', (e) => {
+    const pending = AppState.pendingMasterFile;
+    const col = Number(e.target.dataset.col);
+    if (!pending || pending.busy || Number.isNaN(col)) return;
+
+    for (const [key, mapped] of Object.entries(pending.columns)) {
+      if (mapped === col || key === e.target.value) delete pending.columns[key];
     }
+    if (e.target.value) pending.columns[e.target.value] = col;
+    pending.remembered = false;
+    applyImportMapping();
   });
 
-  document.getElementById('replaceMasterBtn').addEventListener('click', async () => {
-    if (AppState.pendingMasterData) {
-      await saveMasterData(AppState.pendingMasterData);
-      AppState.masterData = AppState.pendingMasterData;
-      AppState.masterIndex = buildMasterIndex(AppState.masterData);
-      AppState.masterCount = AppState.masterData.length;
-      AppState.masterLoaded = true;
-      AppState.masterLastUpdated = new Date().toISOString();
-      AppState.pendingMasterData = null;
-      document.getElementById('appendMasterBtn').disabled = true;
-      document.getElementById('replaceMasterBtn').disabled = true;
-      updateUI();
-      showToast('Master data replaced', 'success');
+  document.getElementById('cancelImportBtn').addEventListener('click', cancelMasterImport);
+
+  document.getElementById('importSheetSelect').addEventListener('change', (e) => {
+    const pending = AppState.pendingMasterFile;
+    if (pending && !pending.busy) selectImportSheet(Number(e.target.value));
+  });
+
+  document.getElementById('importHeaderRow').addEventListener('change', (e) => {
+    const pending = AppState.pendingMasterFile;
+    const row = Number(e.target.value);
+    if (!pending || pending.busy) return;
+    if (!Number.isInteger(row) || row < 1) {
+      e.target.value = pending.headerRow;
+      return;
     }
+    pending.headerRow = row;
+    scanMasterFile(pending);
   });
 
   document.getElementById('clearMasterBtn').addEventListener('click', () => {
-    showConfirm('Clear Master Data', 'Are you sure you want to delete all product data?', async () => {
+    showConfirm('Clear Master Data', 'All products will be removed. The current list stays in Versions and can be rolled back. Continue?', async () => {
       await clearMasterData();
-      AppState.masterData = [];
-      AppState.masterIndex = { exact: new Map(), last8: new Map() };
-      AppState.masterCount = 0;
-      AppState.masterLoaded = false;
+      await commitMasterVersion([], { source: 'Cleared', action: 'clear' });
       updateUI();
       showToast('Master data cleared', 'success');
     });
   });
 
+  document.getElementById('qualityFilter').addEventListener('change', renderMasterQuality);
+
+  document.getElementById('qualityBody').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (button) resolveQualityIssue(button.dataset.action, button.dataset.gtin);
+  });
+
+  document.getElementById('disableLast8Btn').addEventListener('click', async () => {
+    await updateSetting('matchLast8', false);
+    renderSettings();
+    renderMasterQuality();
+    showToast('Last-8 matching turned off', 'success');
+  });
+
+  document.getElementById('versionBody').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action="rollback-version"]');
+    if (button) reviewMasterRollback(Number(button.dataset.id));
+  });
+
+  // Count sessions
+  document.getElementById('startSessionBtn').addEventListener('click', startCountSession);
+
+  document.getElementById('sessionExpectedInput').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      handleExpectedFile(e.target.files[0]);
+      e.target.value = '';
+    }
+  });
+
+  document.getElementById('clearExpectedBtn').addEventListener('click', () => {
+    AppState.pendingExpected = null;
+    renderExpectedInfo();
+  });
+
+  document.getElementById('exportDiscrepanciesBtn').addEventListener('click', () => {
+    const session = getViewedSession();
+    if (session && session.expected) exportDiscrepancies(session);
+  });
+
+  document.getElementById('receivingFilter').addEventListener('change', renderCountSession);
+
+  document.getElementById('receivingBody').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action="adjust-count"]');
+    const session = getViewedSession();
+    if (button && session) adjustCountLine(session, button.dataset.key, Number(button.dataset.delta));
+  });
+
+  document.getElementById('endSessionBtn').addEventListener('click', () => {
+    const session = getViewedSession();
+    if (!session || session.endedAt) return;
+    showConfirm('End Count', `End "${session.name}"? Scans will no longer be added to it.`, async () => {
+      await endCountSession(session);
+      showToast(`Count "${escapeHtml(session.name)}" ended`, 'success');
+    });
+  });
+
+  document.getElementById('exportSessionBtn').addEventListener('click', () => {
+    const session = getViewedSession();
+    if (session) exportCountSession(session);
+  });
+
+  document.getElementById('sessionPackStatusBtn').addEventListener('click', () => {
+    const session = getViewedSession();
+    if (session) showPackStatusModal(AppState.historyRows.filter(row => row.sessionId === session.id), `count "${session.name}"`);
+  });
+
+  document.getElementById('sessionLinesBody').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action="adjust-count"]');
+    const session = getViewedSession();
+    if (button && session) adjustCountLine(session, button.dataset.key, Number(button.dataset.delta));
+  });
+
+  document.getElementById('sessionListBody').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    const session = button && AppState.sessions.find(s => String(s.id) === button.dataset.id);
+    if (!session) return;
+    if (button.dataset.action === 'view-session') {
+      AppState.viewedSessionId = session.id;
+      renderCountSession();
+    } else if (button.dataset.action === 'export-session') {
+      exportCountSession(session);
+    } else if (button.dataset.action === 'delete-session') {
+      showConfirm('Delete Count', `Delete "${session.name}"? Its scans stay in history.`, async () => {
+        await deleteSession(session.id);
+        AppState.sessions = AppState.sessions.filter(s => s !== session);
+        if (AppState.activeSessionId === session.id) await setActiveSession(null);
+        if (AppState.viewedSessionId === session.id) AppState.viewedSessionId = null;
+        renderCountSession();
+        showToast('Count deleted', 'success');
+      });
+    }
+  });
+
+  document.getElementById('sessionBannerBtn').addEventListener('click', () => switchTab('count'));
+
+  document.getElementById('addProductBtn').addEventListener('click', () => showProductEditor(null));
+
+  document.getElementById('masterPreviewBody').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    const item = button && AppState.masterData.find(i => i.gtin === button.dataset.gtin);
+    if (!item) return;
+    if (button.dataset.action === 'edit-product') {
+      showProductEditor(item);
+    } else if (button.dataset.action === 'delete-product') {
+      showConfirm('Delete Product', `Delete ${item.gtin} (${item.name || 'unnamed'}) from master data? It can be restored from Versions.`, async () => {
+        try {
+          await updateMasterItems({ remove: [item.gtin] }, `Deleted ${item.gtin}`);
+        } catch (err) {
+          showToast('Could not delete product: ' + err.message, 'error');
+          return;
+        }
+        updateUI();
+        showToast(`Deleted ${item.gtin}`, 'success');
+      });
+    }
+  });
+
   let masterSearchTimeout;
   document.getElementById('masterSearchInput').addEventListener('input', () => {
     clearTimeout(masterSearchTimeout);
@@ -1278,17 +4018,63 @@ function setupEventListeners() {
     showConfirm('Clear All Data', 'This will permanently delete ALL your data including scan history and master products. Are you sure?', async () => {
       await clearHistory();
       await clearMasterData();
+      await clearMasterVersions();
+      await clearAliases();
+      await clearSessions();
+      await clearSerials();
+      await clearPacks();
+      await clearRecalls();
+      await setActiveSession(null);
+      AppState.sessions = [];
+      AppState.serials = new Map();
+      AppState.packs = new Map();
+      setRecalls([]);
       AppState.historyRows = [];
-      AppState.masterData = [];
-      AppState.masterIndex = { exact: new Map(), last8: new Map() };
-      AppState.masterCount = 0;
-      AppState.masterLoaded = false;
-      AppState.masterLastUpdated = null;
+      AppState.aliases = new Map();
+      AppState.masterVersions = [];
+      setMasterData([]);
       updateUI();
       showToast('All data cleared', 'success');
     });
   });
 
+  // Settings
+  document.querySelectorAll('[data-setting]').forEach(input => {
+    input.addEventListener('change', async () => {
+      let value = input.type === 'checkbox' ? input.checked : input.value.trim();
+      if (input.type === 'number') {
+        value = Number(value);
+        if (!Number.isFinite(value) || (input.min && value < Number(input.min)) || (input.max && value > Number(input.max))) {
+          showToast(`Enter a number between ${input.min} and ${input.max}`, 'error');
+          renderSettings();
+          return;
+        }
+      }
+      if (input.tagName === 'TEXTAREA') value = input.value;
+      if (input.dataset.setting === 'digitalLinkDomain' && !/^https?:\/\/[^\s/]+/i.test(value)) {
+        showToast('Enter a domain starting with https://', 'error');
+        renderSettings();
+        return;
+      }
+      await updateSetting(input.dataset.setting, value);
+      renderWedgeStatus();
+      if (input.dataset.setting === 'cameraResolution') {
+        restartCamera();
+      }
+      if (input.dataset.setting === 'showScanStats' && !value) {
+        renderScanStats(null);
+      }
+      if (input.dataset.setting === 'matchLast8') {
+        renderMasterQuality();
+      }
+      if (input.dataset.setting === 'multiScan') {
+        clearScanOverlay();
+        renderBatch();
+      }
+      showToast('Setting saved', 'success');
+    });
+  });
+
   // Modal controls
   document.getElementById('closeModalBtn').addEventListener('click', hideConfirm);
   document.getElementById('cancelConfirmBtn').addEventListener('click', hideConfirm);
@@ -1305,6 +4091,14 @@ function setupEventListeners() {
     }
   });
 
+  document.getElementById('closeDiffBtn').addEventListener('click', hideMasterDiff);
+  document.getElementById('cancelDiffBtn').addEventListener('click', hideMasterDiff);
+  document.getElementById('confirmDiffBtn').addEventListener('click', confirmMasterDiff);
+  document.getElementById('diffBody').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-row]');
+    if (button) diffRows[Number(button.dataset.row)].onAction();
+  });
+
   // Network status
   window.addEventListener('online', updateUI);
   window.addEventListener('offline', updateUI);
@@ -1369,63 +4163,2031 @@ function switchTab(tabId) {
   }
 }
 
-function handleMasterFile(file) {
-  const reader = new FileReader();
-  reader.onload = (e) => {
+const IMPORT_PREVIEW_ROWS = 20;
+const IMPORT_SKIPPED_EXAMPLES = 50;
+const MASTER_WRITE_BATCH = 2000;
+
+async function handleMasterFile(file) {
+  if (AppState.pendingMasterFile && AppState.pendingMasterFile.busy) {
+    showToast('Wait for the current file to finish', 'warning');
+    return;
+  }
+
+  const pending = {
+    name: file.name,
+    headerRow: 1,
+    headers: null,
+    preview: [],
+    columns: {},
+    remembered: false,
+    sheets: null
+  };
+  AppState.pendingMasterFile = pending;
+
+  if (isSpreadsheetFile(file.name)) {
+    setImportBusy(true, 'Opening workbook...');
+    renderImportPreview();
     try {
-      const data = parseMasterFile(e.target.result, file.name);
-      if (data.length > 0) {
-        AppState.pendingMasterData = data;
-        document.getElementById('appendMasterBtn').disabled = false;
-        document.getElementById('replaceMasterBtn').disabled = false;
-        showToast(`Parsed ${data.length} products from file. Click Replace or Append.`, 'success');
-      } else {
-        showToast('No valid products found in file', 'error');
-      }
+      pending.sheets = await readWorkbook(file);
+      if (pending.sheets.length === 0) throw new Error('Workbook has no sheets');
     } catch (err) {
-      showToast('Error parsing file: ' + err.message, 'error');
+      cancelMasterImport();
+      showToast('Error reading workbook: ' + err.message, 'error');
+      return;
     }
-  };
-  reader.readAsText(file);
+    await selectImportSheet(0);
+  } else {
+    pending.read = (onRows, onProgress) => streamCsvFile(file, onRows, onProgress);
+    await scanMasterFile(pending);
+  }
 }
 
-function handleRestoreFile(file) {
-  const reader = new FileReader();
-  reader.onload = async (e) => {
-    try {
-      await restoreJSON(e.target.result);
-      updateUI();
-      showToast('Backup restored successfully', 'success');
-    } catch (err) {
-      showToast('Error restoring backup: ' + err.message, 'error');
+// Header row guess: the first of the top rows that names a GTIN column
+function detectHeaderRow(rows) {
+  const index = rows.slice(0, 10).findIndex(row => detectMasterColumns(row.cols).gtin !== undefined);
+  return index === -1 ? 1 : index + 1;
+}
+
+async function selectImportSheet(index) {
+  const pending = AppState.pendingMasterFile;
+  const sheet = pending.sheets[index];
+  pending.sheetIndex = index;
+
+  setImportBusy(true, 'Reading sheet...');
+  try {
+    sheet.rows = sheet.rows || await sheet.readRows();
+  } catch (err) {
+    setImportBusy(false);
+    showToast('Error reading sheet: ' + err.message, 'error');
+    return;
+  }
+  pending.headerRow = detectHeaderRow(sheet.rows);
+
+  // Workbook rows are already in memory; hand them out in batches so the page stays responsive
+  pending.read = async (onRows, onProgress) => {
+    for (let i = 0; i < sheet.rows.length; i += MASTER_WRITE_BATCH) {
+      await onRows(sheet.rows.slice(i, i + MASTER_WRITE_BATCH));
+      onProgress(Math.min(1, (i + MASTER_WRITE_BATCH) / sheet.rows.length));
+      await new Promise(resolve => setTimeout(resolve));
     }
+    return { sheet: sheet.name };
   };
-  reader.readAsText(file);
+  await scanMasterFile(pending);
 }
 
-// ============================================================================
-// INITIALIZATION
-// ============================================================================
+// First pass: header, preview rows, saved mapping and the skipped-row report.
+// Only the source is kept, not its rows; it is read again on import.
+async function scanMasterFile(pending) {
+  pending.preview = [];
+  pending.stats = null;
+  pending.analyzedGtinCol = undefined;
+  setImportBusy(true, 'Reading file...');
+  renderImportPreview();
 
-async function init() {
   try {
-    await initDB();
-    
-    const history = await loadAllHistory();
-    AppState.historyRows = history.sort((a, b) => 
-      new Date(b.scanTime).getTime() - new Date(a.scanTime).getTime()
-    );
-    
-    const master = await loadMasterData();
-    if (master.length > 0) {
-      AppState.masterData = master;
-      AppState.masterIndex = buildMasterIndex(master);
-      AppState.masterCount = master.length;
-      AppState.masterLoaded = true;
-      AppState.masterLastUpdated = await loadSetting('masterLastUpdated');
+    const stats = createImportStats();
+    let mapped = false;
+    const info = await readMasterRows(pending, async (rows) => {
+      if (!mapped) {
+        mapped = true;
+        const signature = getFileSignature(pending.headers);
+        const saved = (await loadSetting('masterColumnMappings') || {})[signature];
+        pending.signature = signature;
+        pending.remembered = Boolean(saved);
+        pending.columns = saved ? mappingFromHeaders(saved, pending.headers) : detectMasterColumns(pending.headers);
+      }
+      if (pending.preview.length < IMPORT_PREVIEW_ROWS) {
+        pending.preview.push(...rows.slice(0, IMPORT_PREVIEW_ROWS - pending.preview.length));
+      }
+      analyzeGtinColumn(rows, pending.columns.gtin, stats);
+    });
+
+    if (!pending.headers || stats.rowCount === 0) {
+      showToast('No rows found below the header row', 'error');
+      if (!pending.sheets) AppState.pendingMasterFile = null;
+      return;
     }
+    Object.assign(pending, info, { stats, analyzedGtinCol: pending.columns.gtin });
+    showToast(`Read ${stats.rowCount} rows from ${escapeHtml(pending.name)}. Check the column mapping, then Replace or Append.`, 'success');
+  } catch (err) {
+    if (!pending.sheets) AppState.pendingMasterFile = null;
+    showToast('Error parsing file: ' + err.message, 'error');
+  } finally {
+    setImportBusy(false);
+    renderImportPreview();
+  }
+}
+
+// Streams the data rows of a pending import, picking up the header row on the way
+async function readMasterRows(pending, onRows) {
+  let skipped = 0;
+  pending.headers = null;
+  return pending.read(async (rows) => {
+    if (!pending.headers) {
+      const headerIndex = pending.headerRow - 1 - skipped;
+      if (headerIndex >= rows.length) {
+        skipped += rows.length;
+        return;
+      }
+      pending.headers = rows[headerIndex].cols;
+      rows = rows.slice(headerIndex + 1);
+    }
+    if (rows.length > 0) await onRows(rows);
+  }, fraction => setImportProgress(fraction));
+}
+
+function createImportStats() {
+  return { rowCount: 0, importable: 0, skipped: [], skippedCounts: {} };
+}
+
+function analyzeGtinColumn(rows, gtinCol, stats) {
+  for (const { line, cols } of rows) {
+    stats.rowCount++;
+    const reason = gtinCol === undefined ? 'No GTIN column mapped' : parseGtinCell(cols[gtinCol]).reason;
+    if (!reason) {
+      stats.importable++;
+      continue;
+    }
+    stats.skippedCounts[reason] = (stats.skippedCounts[reason] || 0) + 1;
+    if (stats.skipped.length < IMPORT_SKIPPED_EXAMPLES) {
+      stats.skipped.push({ line, reason, value: (cols[gtinCol] || '') });
+    }
+  }
+}
+
+// Mappings are stored by header name so a remembered layout survives reordered columns
+function mappingToHeaders(columns, headers) {
+  return Object.fromEntries(Object.entries(columns).map(([key, col]) => [key, headers[col]]));
+}
+
+function mappingFromHeaders(saved, headers) {
+  const columns = {};
+  for (const [key, header] of Object.entries(saved)) {
+    const col = headers.indexOf(header);
+    if (col !== -1) columns[key] = col;
+  }
+  return columns;
+}
+
+async function rememberImportMapping(pending) {
+  const mappings = await loadSetting('masterColumnMappings') || {};
+  mappings[pending.signature] = mappingToHeaders(pending.columns, pending.headers);
+  await saveSetting('masterColumnMappings', mappings);
+}
+
+// Only a different GTIN column changes which rows are skipped, so only that re-reads the file
+async function applyImportMapping() {
+  const pending = AppState.pendingMasterFile;
+  if (pending.columns.gtin === pending.analyzedGtinCol) {
+    renderImportPreview();
+    return;
+  }
+
+  setImportBusy(true, 'Checking rows...');
+  try {
+    const stats = createImportStats();
+    await readMasterRows(pending, async (rows) => analyzeGtinColumn(rows, pending.columns.gtin, stats));
+    pending.stats = stats;
+    pending.analyzedGtinCol = pending.columns.gtin;
+  } catch (err) {
+    showToast('Error reading file: ' + err.message, 'error');
+  } finally {
+    setImportBusy(false);
+    renderImportPreview();
+  }
+}
+
+function canImportMaster() {
+  const pending = AppState.pendingMasterFile;
+  return Boolean(pending && !pending.busy && pending.stats && pending.columns.gtin !== undefined && pending.stats.importable > 0);
+}
+
+function setImportBusy(busy, label = '') {
+  const pending = AppState.pendingMasterFile;
+  if (pending) pending.busy = busy;
+  document.getElementById('importProgress').style.display = busy ? 'flex' : 'none';
+  document.getElementById('importProgressLabel').textContent = label;
+  document.getElementById('importProgressBar').value = 0;
+  document.getElementById('cancelImportBtn').disabled = busy;
+  document.getElementById('appendMasterBtn').disabled = !canImportMaster();
+  document.getElementById('replaceMasterBtn').disabled = !canImportMaster();
+  document.getElementById('importPreview').querySelectorAll('select, input').forEach(input => {
+    input.disabled = busy;
+  });
+}
+
+function setImportProgress(fraction) {
+  document.getElementById('importProgressBar').value = fraction;
+}
+
+function renderImportPreview() {
+  const pending = AppState.pendingMasterFile;
+  const container = document.getElementById('importPreview');
+  if (!pending) {
+    container.style.display = 'none';
+    return;
+  }
+  container.style.display = 'block';
+  document.getElementById('appendMasterBtn').disabled = !canImportMaster();
+  document.getElementById('replaceMasterBtn').disabled = !canImportMaster();
+
+  const headers = pending.headers || [];
+  const fieldByCol = {};
+  for (const [key, col] of Object.entries(pending.columns)) {
+    fieldByCol[col] = key;
+  }
+  const sampleRows = pending.preview.slice(0, 3);
+  const stats = pending.stats;
+
+  const format = pending.sheets
+    ? `sheet "${pending.sheets[pending.sheetIndex].name}"`
+    : `${pending.delimiter === '\t' ? 'tab' : `"${pending.delimiter}"`} separated · ${pending.encoding}`;
+  document.getElementById('importFileInfo').textContent = stats
+    ? `${pending.name} · ${stats.rowCount} rows · ${format}${pending.remembered ? ' · saved mapping applied' : ''}`
+    : pending.name;
+
+  const sheetSelect = document.getElementById('importSheetSelect');
+  sheetSelect.parentElement.style.display = pending.sheets && pending.sheets.length > 1 ? 'flex' : 'none';
+  sheetSelect.innerHTML = (pending.sheets || []).map((sheet, i) =>
+    `<option value="${i}" ${i === pending.sheetIndex ? 'selected' : ''}>${escapeHtml(sheet.name)}</option>`
+  ).join('');
+  document.getElementById('importHeaderRow').value = pending.headerRow;
+
+  document.getElementById('importMappingBody').innerHTML = headers.map((header, col) => `
+    <tr>
+      <td>${escapeHtml(header) || `<span style="color: var(--text-muted);">Column ${col + 1}</span>`}</td>
+      <td class="mono truncate">${sampleRows.map(row => escapeHtml(row.cols[col] || '')).join(' · ')}</td>
+      <td>
+        <select class="form-input" data-col="${col}" aria-label="Map ${escapeAttr(header)}" ${pending.busy ? 'disabled' : ''}>
+          <option value="">Keep as attribute</option>
+          ${MASTER_KEY_FIELDS.map(field => `<option value="${field.key}" ${fieldByCol[col] === field.key ? 'selected' : ''}>${field.label}</option>`).join('')}
+        </select>
+      </td>
+    </tr>
+  `).join('');
+
+  const summary = document.getElementById('importSummary');
+  if (!stats) {
+    summary.textContent = '';
+  } else if (pending.columns.gtin === undefined) {
+    summary.textContent = 'Choose which column holds the GTIN.';
+    summary.style.color = 'var(--danger)';
+  } else {
+    const skippedTotal = stats.rowCount - stats.importable;
+    summary.textContent = `${stats.importable} rows will be imported, ${skippedTotal} skipped${skippedTotal > 0 ? `: ${summarizeSkippedRows(stats.skippedCounts)}` : ''}`;
+    summary.style.color = skippedTotal > 0 ? 'var(--warning)' : 'var(--text-secondary)';
+  }
+
+  const skipped = stats && pending.columns.gtin !== undefined ? stats.skipped : [];
+  const more = stats ? stats.rowCount - stats.importable - skipped.length : 0;
+  document.getElementById('importSkipped').innerHTML = skipped.map(row =>
+    `<li>Line ${row.line}: ${escapeHtml(row.reason)}${row.value ? ` (<span class="mono">${escapeHtml(row.value)}</span>)` : ''}</li>`
+  ).join('') + (skipped.length > 0 && more > 0 ? `<li>... and ${more} more</li>` : '');
+}
+
+// Second pass: map every row, then show what the import would change before writing anything
+async function reviewMasterImport(replace) {
+  const pending = AppState.pendingMasterFile;
+  const imported = [];
+  setImportBusy(true, 'Comparing with current master...');
+
+  try {
+    await readMasterRows(pending, async (rows) => {
+      const { data } = mapMasterRows(pending.headers, rows, pending.columns);
+      for (const item of data) imported.push(item);
+    });
+  } catch (err) {
+    showToast('Import failed: ' + err.message, 'error');
+    return;
+  } finally {
+    setImportBusy(false);
+  }
+
+  // Repeated GTINs are listed first in the review; the last row of each is kept unless another is chosen
+  const duplicates = analyzeMasterQuality(imported).duplicates;
+  const kept = new Map(duplicates.map(group => [group.key, group.items[group.items.length - 1]]));
+  const conflicting = duplicates.filter(group => new Set(group.items.map(item => normalizeProductName(item.name))).size > 1).length;
+  const note = duplicates.length > 0
+    ? `${duplicates.length} GTINs appear more than once in the file${conflicting > 0 ? `, ${conflicting} of them with different names` : ''}; only the kept row of each is imported.`
+    : '';
+  const duplicateRows = () => duplicates.flatMap(group => group.items.map(item => {
+    const keep = kept.get(group.key) === item;
+    return {
+      change: keep ? 'kept' : 'duplicate',
+      badge: keep ? 'ok' : QUALITY_CATEGORIES.duplicates.badge,
+      gtin: item.gtin,
+      name: describeImportRow(item),
+      action: keep ? '' : 'Keep',
+      onAction: () => {
+        kept.set(group.key, item);
+        showImportReview();
+      }
+    };
+  }));
+
+  const showImportReview = () => {
+    const dropped = new Set(duplicates.flatMap(group => group.items.filter(item => kept.get(group.key) !== item)));
+    const rows = imported.filter(item => !dropped.has(item));
+    const items = mergeMasterData(replace ? [] : AppState.masterData, rows);
+    const diff = diffMasterData(AppState.masterData, items);
+    showMasterDiff(`${replace ? 'Replace' : 'Append'} from ${pending.name}`, diff, replace ? 'Replace Master' : 'Append to Master',
+      () => importMasterRows(pending, replace, rows, items, diff), note, duplicateRows());
+  };
+  showImportReview();
+}
+
+async function importMasterRows(pending, replace, rows, items, diff) {
+  setImportBusy(true, replace ? 'Replacing master data...' : 'Appending master data...');
+  try {
+    await writeMasterData(replace ? items : rows, replace);
+    await commitMasterVersion(items, { source: pending.name, action: replace ? 'replace' : 'append', diff });
+    await rememberImportMapping(pending);
+  } catch (err) {
+    showToast('Import failed: ' + err.message, 'error');
+    return;
+  } finally {
+    setImportBusy(false);
+  }
+
+  AppState.pendingMasterFile = null;
+  renderImportPreview();
+  updateUI();
+  showToast(replace
+    ? `Replaced master data with ${items.length} products`
+    : `Appended ${rows.length} products to master data`, 'success');
+}
+
+// The name and the other mapped fields, so repeated rows of one GTIN can be told apart
+function describeImportRow(item) {
+  return [item.name || 'unnamed', ...MASTER_KEY_FIELDS
+    .filter(field => field.key !== 'gtin' && field.key !== 'name' && item[field.key])
+    .map(field => `${field.label}: ${item[field.key]}`)].join(' · ');
+}
+
+function cancelMasterImport() {
+  AppState.pendingMasterFile = null;
+  setImportBusy(false);
+  renderImportPreview();
+}
+
+function handleRestoreFile(file) {
+  const reader = new FileReader();
+  reader.onload = async (e) => {
+    try {
+      await restoreJSON(e.target.result);
+      updateUI();
+      showToast('Backup restored successfully', 'success');
+    } catch (err) {
+      showToast('Error restoring backup: ' + err.message, 'error');
+    }
+  };
+  reader.readAsText(file);
+}
+
+// ============================================================================
+// MASTER DATA VERSIONS
+// ============================================================================
+
+const MASTER_VERSION_LIMIT = 10;
+const MASTER_EDIT_LIMIT = 50;
+const MASTER_DIFF_ROWS = 200;
+let diffCallback = null;
+let diffRows = [];
+
+function setMasterData(items, index = buildMasterIndex(items)) {
+  AppState.masterData = items;
+  AppState.masterIndex = index;
+  AppState.masterCount = items.length;
+  AppState.masterLoaded = items.length > 0;
+  AppState.masterQuality = null;
+}
+
+function getMasterLastUpdated() {
+  return AppState.masterVersions.length > 0 ? AppState.masterVersions[0].createdAt : null;
+}
+
+// One item per GTIN, later items replacing earlier ones, as the master store keeps them
+function mergeMasterData(current, imported) {
+  const merged = new Map(current.map(item => [item.gtin, item]));
+  for (const item of imported) {
+    merged.set(item.gtin, item);
+  }
+  return [...merged.values()];
+}
+
+function diffMasterData(before, after) {
+  const previous = new Map(before.map(item => [item.gtin, item]));
+  const diff = { added: [], removed: [], renamed: [], changed: 0, unchanged: 0 };
+
+  for (const item of after) {
+    const old = previous.get(item.gtin);
+    if (!old) {
+      diff.added.push(item);
+      continue;
+    }
+    previous.delete(item.gtin);
+    if ((old.name || '') !== (item.name || '')) {
+      diff.renamed.push({ gtin: item.gtin, from: old.name || '', to: item.name || '' });
+    } else if (JSON.stringify(old) !== JSON.stringify(item)) {
+      diff.changed++;
+    } else {
+      diff.unchanged++;
+    }
+  }
+  diff.removed = [...previous.values()];
+  return diff;
+}
+
+function countMasterChanges(diff) {
+  return {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    renamed: diff.renamed.length,
+    changed: diff.changed
+  };
+}
+
+function formatMasterChanges(changes) {
+  const parts = [
+    [changes.added, 'added'],
+    [changes.removed, 'removed'],
+    [changes.renamed, 'renamed'],
+    [changes.changed, 'updated']
+  ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+  return parts.length > 0 ? parts.join(' · ') : 'No changes';
+}
+
+// Written in batches so a large list does not hold one huge transaction. If a batch fails, the
+// list as it stood (the current version) is written back, so the store is not left half replaced.
+async function writeMasterData(items, replace) {
+  try {
+    await writeMasterBatches(items, replace);
+  } catch (err) {
+    await writeMasterBatches(AppState.masterData, true).catch(() => {});
+    throw err;
+  }
+}
+
+async function writeMasterBatches(items, replace) {
+  if (replace) await clearMasterData();
+  for (let i = 0; i < items.length; i += MASTER_WRITE_BATCH) {
+    await appendMasterData(items.slice(i, i + MASTER_WRITE_BATCH));
+  }
+}
+
+// Records the master list as it now stands (the store must already hold it) and keeps the newest versions.
+// With a delta ({ remove, put }) only the changes are stored, on top of the last full version.
+async function commitMasterVersion(items, { source, action, diff, createdAt, index, delta }) {
+  const version = {
+    createdAt: createdAt || new Date().toISOString(),
+    source,
+    action,
+    count: items.length,
+    changes: countMasterChanges(diff || diffMasterData(AppState.masterData, items))
+  };
+  const snapshot = delta ? await buildMasterDelta(delta) : null;
+  if (snapshot) version.baseId = snapshot.baseId;
+  version.id = await saveMasterVersion(version, snapshot || { items });
+  AppState.masterVersions.unshift(version);
+  setMasterData(items, index);
+  await pruneMasterVersions();
+  return version;
+}
+
+// Each edit holds all changes since its base version, so it only needs that one to be restored
+async function buildMasterDelta({ remove, put }) {
+  const current = AppState.masterVersions[0];
+  if (!current) return null;
+  const previous = current.baseId ? await loadMasterSnapshot(current.id) : null;
+  if (current.baseId && !previous) return null;
+
+  const removed = new Set(previous ? previous.remove : []);
+  const changed = new Map((previous ? previous.put : []).map(item => [item.gtin, item]));
+  remove.forEach(gtin => {
+    changed.delete(gtin);
+    removed.add(gtin);
+  });
+  put.forEach(item => {
+    removed.delete(item.gtin);
+    changed.set(item.gtin, item);
+  });
+  return { baseId: current.baseId || current.id, remove: [...removed], put: [...changed.values()] };
+}
+
+// Edits do not count towards the version limit; they have their own, and go with their base version
+async function pruneMasterVersions() {
+  const versions = AppState.masterVersions;
+  while (versions.filter(version => !version.baseId).length > MASTER_VERSION_LIMIT) {
+    const oldest = versions.pop();
+    await deleteMasterVersion(oldest.id);
+    while (versions.length > 0 && versions[versions.length - 1].baseId === oldest.id) {
+      await deleteMasterVersion(versions.pop().id);
+    }
+  }
+
+  const edits = versions.filter(version => version.baseId);
+  for (const edit of edits.slice(MASTER_EDIT_LIMIT)) {
+    await deleteMasterVersion(edit.id);
+    versions.splice(versions.indexOf(edit), 1);
+  }
+}
+
+async function loadMasterVersionItems(versionId) {
+  const snapshot = await loadMasterSnapshot(versionId);
+  if (!snapshot) return null;
+  if (snapshot.items) return snapshot.items;
+
+  const base = await loadMasterSnapshot(snapshot.baseId);
+  if (!base || !base.items) return null;
+  const removed = new Set(snapshot.remove);
+  return mergeMasterData(base.items.filter(item => !removed.has(item.gtin)), snapshot.put);
+}
+
+async function reviewMasterRollback(versionId) {
+  const version = AppState.masterVersions.find(v => v.id === versionId);
+  const items = version && await loadMasterVersionItems(versionId);
+  if (!items) {
+    showToast('This version is no longer available', 'error');
+    return;
+  }
+
+  const diff = diffMasterData(AppState.masterData, items);
+  showMasterDiff(`Roll back to version ${versionId}`, diff, 'Roll Back', async () => {
+    try {
+      await writeMasterData(items, true);
+      await commitMasterVersion(items, { source: `Version ${versionId} (${version.source})`, action: 'rollback', diff });
+    } catch (err) {
+      showToast('Rollback failed: ' + err.message, 'error');
+      return;
+    }
+    updateUI();
+    showToast(`Master data rolled back to version ${versionId}`, 'success');
+  });
+}
+
+// leadRows go above the changes, for anything to settle before confirming
+function showMasterDiff(title, diff, confirmLabel, callback, note = '', leadRows = []) {
+  const rows = [
+    ...leadRows,
+    ...diff.added.map(item => ({ change: 'added', badge: 'ok', gtin: item.gtin, name: item.name || '' })),
+    ...diff.removed.map(item => ({ change: 'removed', badge: 'expired', gtin: item.gtin, name: item.name || '' })),
+    ...diff.renamed.map(item => ({ change: 'renamed', badge: 'soon', gtin: item.gtin, name: `${item.from} → ${item.to}` }))
+  ];
+  const summary = `${formatMasterChanges(countMasterChanges(diff))} · ${diff.unchanged} unchanged`;
+  showChangeReview(title, summary, rows, confirmLabel, callback, note);
+}
+
+// Rows are { change, badge, gtin, name }, plus an optional action label and onAction handler;
+// an empty confirmLabel leaves nothing to confirm
+function showChangeReview(title, summary, rows, confirmLabel, callback, note = '') {
+  document.getElementById('diffTitle').textContent = title;
+  document.getElementById('diffSummary').textContent = summary;
+  document.getElementById('diffNote').textContent = note;
+  document.getElementById('diffNote').style.display = note ? 'block' : 'none';
+  diffRows = rows;
+  document.getElementById('diffBody').innerHTML = rows.slice(0, MASTER_DIFF_ROWS).map((row, i) => `
+    <tr>
+      <td><span class="expiry-badge ${row.badge}">${escapeHtml(row.change)}</span></td>
+      <td class="mono">${escapeHtml(row.gtin)}</td>
+      <td class="truncate" title="${escapeAttr(row.name)}">${escapeHtml(row.name)}</td>
+      <td>${row.action ? `<button class="btn btn-ghost btn-sm" data-row="${i}">${escapeHtml(row.action)}</button>` : ''}</td>
+    </tr>
+  `).join('') + (rows.length > MASTER_DIFF_ROWS ? `
+    <tr>
+      <td colspan="4" style="text-align: center; color: var(--text-muted);">... and ${rows.length - MASTER_DIFF_ROWS} more</td>
+    </tr>
+  ` : '');
+  document.getElementById('diffTable').style.display = rows.length === 0 ? 'none' : 'table';
+  document.getElementById('diffEmpty').style.display = rows.length === 0 ? 'block' : 'none';
+  document.getElementById('confirmDiffBtn').style.display = confirmLabel ? 'inline-flex' : 'none';
+  document.getElementById('confirmDiffBtn').textContent = confirmLabel;
+  document.getElementById('diffModal').classList.add('active');
+  diffCallback = confirmLabel ? callback : null;
+}
+
+function hideMasterDiff() {
+  document.getElementById('diffModal').classList.remove('active');
+  diffCallback = null;
+  diffRows = [];
+}
+
+async function confirmMasterDiff() {
+  const callback = diffCallback;
+  hideMasterDiff();
+  if (callback) await callback();
+}
+
+function renderMasterVersions() {
+  const versions = AppState.masterVersions;
+  document.getElementById('versionCount').textContent = versions.length;
+  document.getElementById('versionEmpty').style.display = versions.length === 0 ? 'block' : 'none';
+  document.getElementById('versionTable').style.display = versions.length === 0 ? 'none' : 'table';
+  document.getElementById('versionBody').innerHTML = versions.map((version, i) => `
+    <tr>
+      <td class="mono">v${version.id}</td>
+      <td class="mono">${formatDateTime(version.createdAt)}</td>
+      <td class="truncate" title="${escapeAttr(version.source)}">${escapeHtml(version.source)}</td>
+      <td>${version.count}</td>
+      <td>${formatMasterChanges(version.changes)}</td>
+      <td>
+        ${i === 0
+          ? '<span class="expiry-badge ok">Current</span>'
+          : `<button class="btn btn-ghost btn-sm" data-action="rollback-version" data-id="${version.id}">Roll back</button>`}
+      </td>
+    </tr>
+  `).join('');
+}
+
+// ============================================================================
+// MASTER DATA QUALITY
+// ============================================================================
+
+const QUALITY_ISSUE_LIMIT = 50;
+
+const QUALITY_CATEGORIES = {
+  conflicts: { label: 'Conflicting names', badge: 'expired', hint: 'The same GTIN is stored with different names; only one of them is used for matching. Keep the right one.' },
+  duplicates: { label: 'Duplicate GTINs', badge: 'soon', hint: 'The same GTIN is listed more than once in the import file, and only one row can be stored. Keep one row.' },
+  normalization: { label: 'GTIN form collisions', badge: 'soon', hint: 'GTIN-8, -12, -13 and -14 forms of one code are all stored; they scan as the same product. Keep one form.' },
+  checkDigits: { label: 'Invalid check digits', badge: 'expired', hint: 'These GTINs fail the GS1 check digit, so no scanned barcode can match them exactly. Fix the source file or remove them.' },
+  last8: { label: 'Last-8 collisions', badge: 'missing', hint: 'These products share their last 8 digits, so a partial scan of either is AMBIGUOUS-LAST8.' }
+};
+
+function normalizeProductName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Groups the master list by GTIN-14, the key matching uses, and by its last 8 digits
+function analyzeMasterQuality(items) {
+  const report = { conflicts: [], duplicates: [], normalization: [], checkDigits: [], last8: [] };
+  const byGtin14 = new Map();
+
+  for (const item of items) {
+    const gtin14 = masterIndexKey(item.gtin);
+    if (!byGtin14.has(gtin14)) byGtin14.set(gtin14, []);
+    byGtin14.get(gtin14).push(item);
+    if (!hasValidCheckDigit(gtin14)) {
+      report.checkDigits.push({ key: gtin14, items: [item] });
+    }
+  }
+
+  const byLast8 = new Map();
+  for (const [gtin14, group] of byGtin14) {
+    const last8 = gtin14.slice(-8);
+    if (!byLast8.has(last8)) byLast8.set(last8, []);
+    byLast8.get(last8).push(group[0]);
+
+    if (group.length < 2) continue;
+    // The store keeps one row per GTIN, so only an import file can repeat one
+    if (new Set(group.map(item => item.gtin)).size < group.length) {
+      report.duplicates.push({ key: gtin14, items: group });
+    } else if (new Set(group.map(item => normalizeProductName(item.name))).size > 1) {
+      report.conflicts.push({ key: gtin14, items: group });
+    } else {
+      report.normalization.push({ key: gtin14, items: group });
+    }
+  }
+
+  for (const [last8, group] of byLast8) {
+    if (group.length > 1) report.last8.push({ key: last8, items: group });
+  }
+
+  return report;
+}
+
+function getMasterQuality() {
+  if (!AppState.masterQuality) {
+    AppState.masterQuality = analyzeMasterQuality(AppState.masterData);
+  }
+  const report = { ...AppState.masterQuality };
+  // Last-8 collisions only matter while that tier is on
+  if (!getMatchTiers().last8) report.last8 = [];
+  return report;
+}
+
+// GTINs listed more than once in an import file, before they are merged
+// Edits go through the version history like imports, so each one can be rolled back.
+// Only the GTINs they touch are written, kept in the version and re-indexed.
+async function updateMasterItems({ remove = [], put = [] }, source) {
+  const touched = new Set([...remove, ...put.map(item => item.gtin)]);
+  const before = AppState.masterData.filter(item => touched.has(item.gtin));
+  const removed = new Set(remove);
+  const items = mergeMasterData(AppState.masterData.filter(item => !removed.has(item.gtin)), put);
+  await updateMasterStore(remove, put);
+
+  const index = AppState.masterIndex;
+  const keys = new Set([...before, ...put].map(item => masterIndexKey(item.gtin)));
+  keys.forEach(key => removeFromMasterIndex(index, key));
+  items.filter(item => keys.has(masterIndexKey(item.gtin))).forEach(item => addToMasterIndex(index, item));
+
+  await commitMasterVersion(items, { source, action: 'edit', diff: diffMasterData(before, put), index, delta: { remove, put } });
+}
+
+async function resolveQualityIssue(action, gtin) {
+  const item = AppState.masterData.find(i => i.gtin === gtin);
+  if (!item) return;
+  const gtin14 = masterIndexKey(gtin);
+
+  try {
+    if (action === 'keep-master-item') {
+      const others = AppState.masterData
+        .filter(i => i !== item && masterIndexKey(i.gtin) === gtin14)
+        .map(i => i.gtin);
+      await updateMasterItems({ remove: others }, `Data quality: kept ${gtin}`);
+      showToast(`Kept ${gtin} (${escapeHtml(item.name || 'unnamed')})`, 'success');
+    } else if (action === 'remove-master-item') {
+      await updateMasterItems({ remove: [gtin] }, `Data quality: removed ${gtin}`);
+      showToast(`Removed ${gtin} from master data`, 'success');
+    }
+  } catch (err) {
+    showToast('Could not update master data: ' + err.message, 'error');
+    return;
+  }
+  updateUI();
+}
+
+function renderQualityRows(category, issue) {
+  const info = QUALITY_CATEGORIES[category];
+  const keep = category === 'conflicts' || category === 'duplicates' || category === 'normalization';
+  return issue.items.map((item, i) => `
+    <tr>
+      <td>${i === 0 ? `<span class="expiry-badge ${info.badge}" title="${escapeAttr(info.hint)}">${info.label}</span>` : ''}</td>
+      <td class="mono">${escapeHtml(item.gtin)}</td>
+      <td class="truncate" title="${escapeAttr(item.name)}">${escapeHtml(item.name || '')}</td>
+      <td class="batch-item-format">${category === 'checkDigits'
+        ? `check digit should be ${gs1CheckDigit(issue.key.slice(0, -1))}`
+        : `GTIN-${String(item.gtin).length}`}</td>
+      <td>
+        <button class="btn btn-ghost btn-sm" data-action="${keep ? 'keep-master-item' : 'remove-master-item'}" data-gtin="${escapeAttr(item.gtin)}">${keep ? 'Keep' : 'Remove'}</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+function renderMasterQuality() {
+  const report = getMasterQuality();
+  const filter = document.getElementById('qualityFilter');
+  const selected = filter.value;
+  const total = Object.values(report).reduce((sum, issues) => sum + issues.length, 0);
+
+  filter.innerHTML = `<option value="">All issues (${total})</option>` + Object.entries(QUALITY_CATEGORIES).map(([key, info]) =>
+    `<option value="${key}" ${key === selected ? 'selected' : ''}>${info.label} (${report[key].length})</option>`
+  ).join('');
+
+  document.getElementById('qualityCount').textContent = total;
+  document.getElementById('qualityEmpty').style.display = total === 0 ? 'block' : 'none';
+  document.getElementById('qualityTable').style.display = total === 0 ? 'none' : 'table';
+  document.getElementById('disableLast8Btn').style.display = report.last8.length > 0 && (!selected || selected === 'last8') ? 'inline-flex' : 'none';
+
+  const categories = selected ? [selected] : Object.keys(QUALITY_CATEGORIES);
+  document.getElementById('qualityHint').textContent = selected && report[selected].length > 0 ? QUALITY_CATEGORIES[selected].hint : '';
+  document.getElementById('qualityBody').innerHTML = categories.map(category => {
+    const issues = report[category];
+    return issues.slice(0, QUALITY_ISSUE_LIMIT).map(issue => renderQualityRows(category, issue)).join('') + (issues.length > QUALITY_ISSUE_LIMIT ? `
+      <tr>
+        <td colspan="5" style="text-align: center; color: var(--text-muted);">... and ${issues.length - QUALITY_ISSUE_LIMIT} more ${QUALITY_CATEGORIES[category].label.toLowerCase()}</td>
+      </tr>
+    ` : '');
+  }).join('');
+}
+
+// ============================================================================
+// MASTER DATA EDITOR
+// ============================================================================
+
+let productEditing = null;
+
+function canCreateProductFromScan(entry) {
+  return entry.matchType === 'NONE' && Boolean(entry.gtin14);
+}
+
+// Returns an error message, or '' when the GTIN can be stored
+function validateMasterGtin(gtin, originalGtin) {
+  if (!/^\d+$/.test(gtin)) return 'GTIN must contain digits only';
+  if (![8, 12, 13, 14].includes(gtin.length)) return 'GTIN must have 8, 12, 13 or 14 digits';
+  if (!hasValidCheckDigit(gtin)) return `Invalid check digit; expected ${gs1CheckDigit(gtin.slice(0, -1))}`;
+  const existing = AppState.masterIndex.items.get(masterIndexKey(gtin));
+  if (existing && existing.gtin !== originalGtin) {
+    return `GTIN already in master data as ${existing.gtin} (${existing.name || 'unnamed'})`;
+  }
+  return '';
+}
+
+function formatAttributes(attributes) {
+  return Object.entries(attributes || {}).map(([header, value]) => `${header}: ${value}`).join('\n');
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const line of text.split('\n')) {
+    const colon = line.indexOf(':');
+    const header = (colon === -1 ? line : line.slice(0, colon)).trim();
+    const value = colon === -1 ? '' : line.slice(colon + 1).trim();
+    if (header && value) attributes[header] = value;
+  }
+  return attributes;
+}
+
+// item is null when adding; entry is the unmatched scan a new product is created from
+function showProductEditor(item, entry = null) {
+  productEditing = { item, entry };
+  document.getElementById('productTitle').textContent = item ? `Edit ${item.gtin}` : 'Add Product';
+  document.getElementById('productGtin').value = item ? item.gtin : (entry ? entry.gtin13 || entry.gtin14 : '');
+  document.getElementById('productFields').innerHTML = MASTER_KEY_FIELDS.filter(field => field.key !== 'gtin').map(field => `
+    <div class="form-group">
+      <label class="form-label" for="productField-${field.key}">${field.label}</label>
+      <input type="text" class="form-input" id="productField-${field.key}" data-field="${field.key}">
+    </div>
+  `).join('');
+  document.querySelectorAll('#productFields [data-field]').forEach(input => {
+    input.value = item ? String(item[input.dataset.field] || '') : '';
+  });
+  document.getElementById('productAttributes').value = item ? formatAttributes(item.attributes) : '';
+  document.getElementById('productModal').classList.add('active');
+  document.getElementById(item || entry ? 'productField-name' : 'productGtin').focus();
+}
+
+function hideProductEditor() {
+  document.getElementById('productModal').classList.remove('active');
+  productEditing = null;
+}
+
+async function saveProductEditor() {
+  if (!productEditing) return;
+  const { item: original, entry } = productEditing;
+  const gtin = document.getElementById('productGtin').value.trim();
+  const error = validateMasterGtin(gtin, original && original.gtin);
+  if (error) {
+    showToast(escapeHtml(error), 'error');
+    return;
+  }
+
+  const item = { gtin };
+  document.querySelectorAll('#productFields [data-field]').forEach(input => {
+    item[input.dataset.field] = input.value.trim();
+  });
+  item.attributes = parseAttributes(document.getElementById('productAttributes').value);
+  if (!item.name) {
+    showToast('Enter a product name', 'error');
+    return;
+  }
+
+  try {
+    await updateMasterItems({
+      remove: original && original.gtin !== gtin ? [original.gtin] : [],
+      put: [item]
+    }, original ? `Edited ${gtin}` : `Added ${gtin}`);
+    if (entry) await rematchUnmatchedScans(entry.gtin14);
+  } catch (err) {
+    showToast('Could not save product: ' + err.message, 'error');
+    return;
+  }
+
+  hideProductEditor();
+  updateUI();
+  showToast(original ? `Saved ${gtin}` : `Added ${gtin} to master data`, 'success');
+}
+
+// Unmatched scans of a GTIN that has just been added pick up the new product
+async function rematchUnmatchedScans(gtin14) {
+  for (const row of AppState.historyRows) {
+    if (row.matchType !== 'NONE' || row.gtin14 !== gtin14) continue;
+    applyMatch(row, matchProduct({ valid: true, gtin14: row.gtin14, gtin13: row.gtin13 }, AppState.masterIndex));
+    await updateHistoryEntry(row);
+  }
+  if (AppState.historyRows[0] && AppState.historyRows[0].gtin14 === gtin14) {
+    updateRecentScan(AppState.historyRows[0]);
+  }
+}
+
+// ============================================================================
+// COUNT SESSIONS
+// ============================================================================
+
+const COUNT_EXPORT_HEADERS = ['Session', 'Location', 'Operator', 'Started', 'Ended', 'GTIN14', 'Product Name', 'Batch', 'Expiry', 'Scans', 'Scanned Qty', 'Adjustment', 'Counted Qty'];
+
+async function setActiveSession(id) {
+  AppState.activeSessionId = id;
+  await saveSetting('activeSessionId', id);
+}
+
+function getViewedSession() {
+  const id = AppState.viewedSessionId !== null ? AppState.viewedSessionId : AppState.activeSessionId;
+  return AppState.sessions.find(session => session.id === id) || null;
+}
+
+function countLineKey(entry) {
+  return [entry.gtin14, entry.batch || '', entry.expiry || ''].join('|');
+}
+
+// AI 30 carries the counted quantity; a scan without it counts as one
+function parseCountQty(qty) {
+  const value = Number(qty);
+  return Number.isFinite(value) && value >= 0 ? value : 1;
+}
+
+function createCountLine(key, fields) {
+  return {
+    key,
+    gtin14: fields.gtin14,
+    batch: fields.batch || '',
+    expiry: fields.expiry || '',
+    expiryFormatted: fields.expiryFormatted || '',
+    expiryStatus: fields.expiryStatus || 'missing',
+    productName: fields.productName || '',
+    scans: 0,
+    scanned: 0,
+    adjustment: 0
+  };
+}
+
+// One line per GTIN + batch + expiry, summing the session's scans and its manual adjustments
+function aggregateSession(session, rows = AppState.historyRows) {
+  const lines = new Map();
+  for (const row of rows) {
+    if (row.sessionId !== session.id || !row.gtin14 || row.matchType === 'INVALID') continue;
+    const key = countLineKey(row);
+    if (!lines.has(key)) {
+      lines.set(key, createCountLine(key, row));
+    }
+    const line = lines.get(key);
+    line.scans++;
+    line.scanned += parseCountQty(row.qty);
+    line.productName = line.productName || row.productName || '';
+  }
+
+  // Adjustments can add lines nothing was scanned for, e.g. expected items with a damaged label
+  for (const adjustment of session.adjustments) {
+    if (!lines.has(adjustment.key)) {
+      const [gtin14, batch, expiry] = adjustment.key.split('|');
+      const date = parseDocumentDate(expiry);
+      lines.set(adjustment.key, createCountLine(adjustment.key, {
+        gtin14,
+        batch,
+        expiry,
+        expiryFormatted: date.formatted,
+        expiryStatus: getExpiryStatus(expiry),
+        productName: (AppState.masterIndex.items.get(gtin14) || {}).name
+      }));
+    }
+    lines.get(adjustment.key).adjustment += adjustment.delta;
+  }
+
+  return [...lines.values()]
+    .filter(line => line.scans > 0 || line.adjustment !== 0)
+    .map(line => ({ ...line, total: line.scanned + line.adjustment }))
+    .sort((a, b) => (a.productName || a.gtin14).localeCompare(b.productName || b.gtin14) || a.batch.localeCompare(b.batch));
+}
+
+async function startCountSession() {
+  const name = document.getElementById('sessionName').value.trim();
+  const location = document.getElementById('sessionLocation').value.trim();
+  const operator = document.getElementById('sessionOperator').value.trim();
+  if (!name) {
+    showToast('Enter a name for the count', 'error');
+    return;
+  }
+  if (operator && operator !== AppState.settings.operatorName) {
+    await updateSetting('operatorName', operator);
+    renderSettings();
+  }
+
+  const session = {
+    name,
+    location,
+    operator,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    adjustments: []
+  };
+  if (AppState.pendingExpected) {
+    session.expected = AppState.pendingExpected.lines;
+    session.expectedSource = AppState.pendingExpected.name;
+  }
+  session.id = await saveSession(session);
+  AppState.pendingExpected = null;
+  renderExpectedInfo();
+  AppState.sessions.unshift(session);
+  AppState.viewedSessionId = null;
+  await setActiveSession(session.id);
+  document.getElementById('sessionName').value = '';
+  renderCountSession();
+  showToast(`Counting "${escapeHtml(name)}": scans are added to this session`, 'success');
+}
+
+async function endCountSession(session) {
+  session.endedAt = new Date().toISOString();
+  await saveSession(session);
+  if (AppState.activeSessionId === session.id) await setActiveSession(null);
+  renderCountSession();
+}
+
+// Adjustments are logged rather than summed in place so the count can be audited
+async function adjustCountLine(session, key, delta) {
+  const line = aggregateSession(session).find(l => l.key === key);
+  if (session.endedAt || (line ? line.total : 0) + delta < 0) return;
+  session.adjustments.push({ key, delta, at: new Date().toISOString(), by: AppState.settings.operatorName || '' });
+  await saveSession(session);
+  renderCountSession();
+}
+
+function toCsvLine(values) {
+  return values.map(value => `"${String(value).replace(/"/g, '""')}"`).join(',');
+}
+
+function sessionFileName(session, kind) {
+  const slug = session.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'count';
+  return `gs1-${kind}-${slug}-${Date.now()}.csv`;
+}
+
+function exportCountSession(session) {
+  const lines = [toCsvLine(COUNT_EXPORT_HEADERS)];
+  for (const line of aggregateSession(session)) {
+    lines.push(toCsvLine([
+      session.name,
+      session.location,
+      session.operator,
+      session.startedAt,
+      session.endedAt || '',
+      line.gtin14,
+      line.productName,
+      line.batch,
+      line.expiryFormatted,
+      line.scans,
+      line.scanned,
+      line.adjustment,
+      line.total
+    ]));
+  }
+  downloadFile(lines.join('\n'), sessionFileName(session, 'count'), 'text/csv');
+  showToast('Count exported', 'success');
+}
+
+function renderCountSession() {
+  const active = AppState.sessions.find(session => session.id === AppState.activeSessionId);
+  const session = getViewedSession();
+  const lines = session ? aggregateSession(session) : [];
+  const units = lines.reduce((sum, line) => sum + line.total, 0);
+
+  const banner = document.getElementById('sessionBanner');
+  banner.style.display = active ? 'flex' : 'none';
+  if (active) {
+    const activeLines = session === active ? lines : aggregateSession(active);
+    const discrepancies = active.expected ? reconcileSession(active, activeLines).filter(row => row.status !== 'ok').length : 0;
+    document.getElementById('sessionBannerText').textContent =
+      `${active.expected ? 'Receiving' : 'Counting'} "${active.name}"${active.location ? ` at ${active.location}` : ''} · ${activeLines.length} lines · ${activeLines.reduce((sum, line) => sum + line.total, 0)} units${active.expected ? ` · ${discrepancies} open discrepancies` : ''}`;
+  }
+
+  document.getElementById('sessionStartForm').style.display = active ? 'none' : 'block';
+  if (!active && !document.getElementById('sessionOperator').value) {
+    document.getElementById('sessionOperator').value = AppState.settings.operatorName || '';
+  }
+
+  document.getElementById('sessionDetail').style.display = session ? 'block' : 'none';
+  if (session) {
+    document.getElementById('sessionTitle').textContent = session.name;
+    document.getElementById('sessionInfo').textContent = [
+      session.expectedSource ? `Receiving against ${session.expectedSource}` : '',
+      session.location,
+      session.operator,
+      `${formatDateTime(session.startedAt)} – ${session.endedAt ? formatDateTime(session.endedAt) : 'in progress'}`
+    ].filter(Boolean).join(' · ');
+    document.getElementById('sessionLineCount').textContent = lines.length;
+    document.getElementById('sessionUnitCount').textContent = units;
+    document.getElementById('sessionScanCount').textContent = lines.reduce((sum, line) => sum + line.scans, 0);
+    document.getElementById('endSessionBtn').style.display = session.endedAt ? 'none' : 'inline-flex';
+    document.getElementById('exportDiscrepanciesBtn').style.display = session.expected ? 'inline-flex' : 'none';
+    document.getElementById('sessionCountView').style.display = session.expected ? 'none' : 'block';
+    document.getElementById('sessionReceivingView').style.display = session.expected ? 'block' : 'none';
+    if (session.expected) renderReceiving(session, lines);
+    document.getElementById('sessionLinesEmpty').style.display = lines.length === 0 ? 'block' : 'none';
+    document.getElementById('sessionLinesBody').innerHTML = lines.map(line => `
+      <tr>
+        <td class="mono">${line.gtin14}</td>
+        <td class="truncate" title="${escapeAttr(line.productName)}">${escapeHtml(line.productName) || '<span style="color: var(--text-muted);">Unknown product</span>'}</td>
+        <td class="mono">${escapeHtml(line.batch) || '-'}</td>
+        <td><span class="expiry-badge ${line.expiryStatus}">${line.expiryFormatted || 'No expiry'}</span></td>
+        <td>${line.scans}</td>
+        <td>${line.scanned}</td>
+        <td style="white-space: nowrap;">
+          ${session.endedAt ? (line.adjustment ? (line.adjustment > 0 ? '+' : '') + line.adjustment : '-') : `
+            <button class="btn btn-ghost btn-sm" data-action="adjust-count" data-key="${escapeAttr(line.key)}" data-delta="-1" ${line.total <= 0 ? 'disabled' : ''} aria-label="One less">−</button>
+            <span class="mono">${line.adjustment > 0 ? '+' : ''}${line.adjustment}</span>
+            <button class="btn btn-ghost btn-sm" data-action="adjust-count" data-key="${escapeAttr(line.key)}" data-delta="1" aria-label="One more">+</button>
+          `}
+        </td>
+        <td><strong>${line.total}</strong></td>
+      </tr>
+    `).join('');
+  }
+
+  const sessions = AppState.sessions;
+  document.getElementById('sessionListEmpty').style.display = sessions.length === 0 ? 'block' : 'none';
+  document.getElementById('sessionListTable').style.display = sessions.length === 0 ? 'none' : 'table';
+  document.getElementById('sessionListBody').innerHTML = sessions.map(s => {
+    const sessionLines = s === session ? lines : aggregateSession(s);
+    return `
+      <tr>
+        <td>${escapeHtml(s.name)}${s.id === AppState.activeSessionId ? ' <span class="expiry-badge ok">Active</span>' : ''}</td>
+        <td>${escapeHtml(s.location) || '-'}</td>
+        <td>${escapeHtml(s.operator) || '-'}</td>
+        <td class="mono">${formatDateTime(s.startedAt)}</td>
+        <td class="mono">${s.endedAt ? formatDateTime(s.endedAt) : '-'}</td>
+        <td>${sessionLines.length}</td>
+        <td>${sessionLines.reduce((sum, line) => sum + line.total, 0)}</td>
+        <td style="white-space: nowrap;">
+          <button class="btn btn-ghost btn-sm" data-action="view-session" data-id="${s.id}">View</button>
+          <button class="btn btn-ghost btn-sm" data-action="export-session" data-id="${s.id}">Export</button>
+          <button class="btn btn-ghost btn-sm" data-action="delete-session" data-id="${s.id}">Delete</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// ============================================================================
+// RECEIVING
+// ============================================================================
+
+// Quantity comes before expiry so "Expected Qty" is not taken for an expiry column
+const EXPECTED_FIELDS = [
+  { key: 'gtin', label: 'GTIN', keywords: ['gtin', 'barcode', 'ean', 'upc', 'code'] },
+  { key: 'batch', label: 'Batch', keywords: ['batch', 'lot'] },
+  { key: 'quantity', label: 'Quantity', keywords: ['qty', 'quantity', 'count', 'units'] },
+  { key: 'expiry', label: 'Expiry', keywords: ['expiry', 'expiration', 'exp', 'best before', 'use by'] },
+  { key: 'name', label: 'Product Name', keywords: ['name', 'description', 'product'] }
+];
+
+const RECEIVING_STATUSES = {
+  short: { label: 'Short', badge: 'expired' },
+  unexpected: { label: 'Unexpected', badge: 'expired' },
+  'wrong-batch': { label: 'Wrong batch', badge: 'soon' },
+  'wrong-expiry': { label: 'Wrong expiry', badge: 'soon' },
+  over: { label: 'Over', badge: 'soon' },
+  ok: { label: 'OK', badge: 'ok' }
+};
+
+const DISCREPANCY_EXPORT_HEADERS = ['Session', 'Delivery', 'Status', 'Detail', 'GTIN14', 'Product Name', 'Batch', 'Expiry', 'Expected Qty', 'Received Qty', 'Difference'];
+
+// Delivery notes and recall lists write dates as GS1 YYMMDD, ISO, YYYYMMDD or DD/MM/YYYY; returns null if unreadable
+function parseDocumentDate(value) {
+  const text = String(value || '').trim();
+  if (!text) return { iso: '', formatted: '' };
+
+  let match;
+  let yymmdd = '';
+  if (/^\d{6}$/.test(text)) {
+    yymmdd = text;
+  } else if ((match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(text))) {
+    yymmdd = match[1].slice(2) + match[2] + match[3];
+  } else if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text))) {
+    yymmdd = match[3].slice(2) + match[2].padStart(2, '0') + match[1].padStart(2, '0');
+  }
+  const date = parseGS1Date(yymmdd);
+  return date.iso ? date : null;
+}
+
+function readJsonRows(content) {
+  const data = JSON.parse(content);
+  const items = Array.isArray(data) ? data : (data.items || data.lines || []);
+  const headers = [...new Set(items.flatMap(item => Object.keys(item)))];
+  return {
+    headers,
+    rows: items.map((item, i) => ({
+      line: i + 1,
+      cols: headers.map(header => item[header] === undefined || item[header] === null ? '' : String(item[header]))
+    }))
+  };
+}
+
+// Lines are keyed like count lines, so repeated GTIN + batch + expiry rows add up
+function parseExpectedFile(content, filename) {
+  const file = /\.json$/i.test(filename) ? readJsonRows(content) : readDelimitedFile(content);
+  const columns = detectColumns(file.headers, EXPECTED_FIELDS);
+  if (columns.gtin === undefined) {
+    throw new Error('No GTIN column found');
+  }
+
+  const lines = new Map();
+  const skipped = [];
+  const cell = (cols, key) => columns[key] === undefined ? '' : (cols[columns[key]] || '').trim();
+
+  for (const { line, cols } of file.rows) {
+    const { gtin, reason } = parseGtinCell(cols[columns.gtin]);
+    const expiry = parseDocumentDate(cell(cols, 'expiry'));
+    const quantity = columns.quantity === undefined ? 1 : Number(cell(cols, 'quantity'));
+    const problem = reason ||
+      (!expiry && 'Expiry is not a date') ||
+      ((!Number.isFinite(quantity) || quantity <= 0) && 'Quantity is not a positive number');
+    if (problem) {
+      skipped.push({ line, reason: problem });
+      continue;
+    }
+
+    const gtin14 = gtin.padStart(14, '0');
+    const item = {
+      gtin14,
+      batch: cell(cols, 'batch'),
+      expiry: expiry.iso,
+      expiryFormatted: expiry.formatted,
+      productName: cell(cols, 'name') || (AppState.masterIndex.items.get(gtin14) || {}).name || '',
+      quantity
+    };
+    item.key = countLineKey(item);
+    if (lines.has(item.key)) {
+      lines.get(item.key).quantity += quantity;
+    } else {
+      lines.set(item.key, item);
+    }
+  }
+
+  return { lines: [...lines.values()], skipped };
+}
+
+function handleExpectedFile(file) {
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      const { lines, skipped } = parseExpectedFile(e.target.result, file.name);
+      if (lines.length === 0) throw new Error('No usable lines');
+      AppState.pendingExpected = { name: file.name, lines, skipped };
+      renderExpectedInfo();
+      showToast(`Loaded ${lines.length} expected lines from ${escapeHtml(file.name)}`, skipped.length > 0 ? 'warning' : 'success');
+    } catch (err) {
+      showToast('Error reading expected items: ' + err.message, 'error');
+    }
+  };
+  reader.readAsText(file);
+}
+
+function renderExpectedInfo() {
+  const pending = AppState.pendingExpected;
+  document.getElementById('clearExpectedBtn').style.display = pending ? 'inline-flex' : 'none';
+  document.getElementById('startSessionBtn').textContent = pending ? 'Start Receiving' : 'Start Count';
+  document.getElementById('sessionExpectedInfo').textContent = pending
+    ? `${pending.name}: ${pending.lines.length} lines, ${pending.lines.reduce((sum, line) => sum + line.quantity, 0)} units${pending.skipped.length > 0 ? `; ${pending.skipped.length} rows skipped (${summarizeSkippedRows(pending.skipped.reduce((counts, row) => ({ ...counts, [row.reason]: (counts[row.reason] || 0) + 1 }), {}))})` : ''}`
+    : 'Optional: a delivery note or purchase order (CSV or JSON) to receive against.';
+}
+
+// Scanned lines are booked against the expected line with the same key, or against one
+// that leaves batch or expiry open; anything else is explained by its closest expected line
+function reconcileSession(session, lines = aggregateSession(session)) {
+  const expected = session.expected.map(item => ({ ...item, received: 0 }));
+  const byKey = new Map(expected.map(item => [item.key, item]));
+  const extras = [];
+
+  for (const line of lines) {
+    const target = byKey.get(line.key) || expected.find(item =>
+      item.gtin14 === line.gtin14 && (!item.batch || item.batch === line.batch) && (!item.expiry || item.expiry === line.expiry)
+    );
+    if (target) {
+      target.received += line.total;
+      continue;
+    }
+    if (line.total === 0) continue;
+
+    const sameGtin = expected.filter(item => item.gtin14 === line.gtin14);
+    const sameBatch = sameGtin.filter(item => !item.batch || item.batch === line.batch);
+    let status = 'unexpected';
+    let detail = 'Not on the delivery';
+    if (sameGtin.length > 0 && sameBatch.length === 0) {
+      status = 'wrong-batch';
+      detail = `Expected batch ${[...new Set(sameGtin.map(item => item.batch))].join(', ')}`;
+    } else if (sameBatch.length > 0) {
+      status = 'wrong-expiry';
+      detail = `Expected expiry ${[...new Set(sameBatch.map(item => item.expiryFormatted || 'none'))].join(', ')}`;
+    }
+    extras.push({ ...line, status, detail, expected: 0, received: line.total });
+  }
+
+  const rows = expected.map(item => ({
+    ...item,
+    status: item.received === item.quantity ? 'ok' : (item.received < item.quantity ? 'short' : 'over'),
+    detail: '',
+    expected: item.quantity
+  }));
+  const order = Object.keys(RECEIVING_STATUSES);
+  return [...rows, ...extras].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+}
+
+function renderReceiving(session, lines) {
+  const rows = reconcileSession(session, lines);
+  const filter = document.getElementById('receivingFilter');
+  const counts = {};
+  rows.forEach(row => { counts[row.status] = (counts[row.status] || 0) + 1; });
+
+  const selected = filter.value;
+  filter.innerHTML = `<option value="">All lines (${rows.length})</option>` + Object.entries(RECEIVING_STATUSES).map(([key, info]) =>
+    `<option value="${key}" ${key === selected ? 'selected' : ''}>${info.label} (${counts[key] || 0})</option>`
+  ).join('');
+  document.getElementById('receivingSummary').textContent = Object.entries(RECEIVING_STATUSES)
+    .filter(([key]) => counts[key])
+    .map(([key, info]) => `${counts[key]} ${info.label.toLowerCase()}`)
+    .join(' · ');
+
+  const shown = selected ? rows.filter(row => row.status === selected) : rows;
+  document.getElementById('receivingBody').innerHTML = shown.map(row => {
+    const info = RECEIVING_STATUSES[row.status];
+    const difference = row.received - row.expected;
+    return `
+      <tr>
+        <td><span class="expiry-badge ${info.badge}" title="${escapeAttr(row.detail)}">${info.label}</span></td>
+        <td class="mono">${row.gtin14}</td>
+        <td class="truncate" title="${escapeAttr(row.detail || row.productName)}">${escapeHtml(row.productName) || '<span style="color: var(--text-muted);">Unknown product</span>'}</td>
+        <td class="mono">${escapeHtml(row.batch) || '-'}</td>
+        <td>${row.expiryFormatted || '-'}</td>
+        <td>${row.expected}</td>
+        <td style="white-space: nowrap;">
+          ${session.endedAt ? row.received : `
+            <button class="btn btn-ghost btn-sm" data-action="adjust-count" data-key="${escapeAttr(row.key)}" data-delta="-1" ${row.received <= 0 ? 'disabled' : ''} aria-label="One less">−</button>
+            <span class="mono">${row.received}</span>
+            <button class="btn btn-ghost btn-sm" data-action="adjust-count" data-key="${escapeAttr(row.key)}" data-delta="1" aria-label="One more">+</button>
+          `}
+        </td>
+        <td class="mono">${difference > 0 ? '+' : ''}${difference}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function exportDiscrepancies(session) {
+  const lines = [toCsvLine(DISCREPANCY_EXPORT_HEADERS)];
+  for (const row of reconcileSession(session).filter(r => r.status !== 'ok')) {
+    lines.push(toCsvLine([
+      session.name,
+      session.expectedSource || '',
+      RECEIVING_STATUSES[row.status].label,
+      row.detail,
+      row.gtin14,
+      row.productName,
+      row.batch,
+      row.expiryFormatted,
+      row.expected,
+      row.received,
+      row.received - row.expected
+    ]));
+  }
+  downloadFile(lines.join('\n'), sessionFileName(session, 'discrepancies'), 'text/csv');
+  showToast(lines.length > 1 ? `${lines.length - 1} discrepancies exported` : 'No discrepancies: everything was received as expected', 'success');
+}
+
+// ============================================================================
+// SERIAL REGISTRY
+// ============================================================================
+
+const REPEATED_SERIAL_EXPORT_HEADERS = ['GTIN14', 'Serial', 'Product Name', 'Times Scanned', 'First Scan', 'Last Scan', 'Counts'];
+
+// A GTIN + serial names one physical pack, so it should only ever be scanned once
+function serialKey(gtin14, serial) {
+  return `${gtin14}|${serial}`;
+}
+
+function addSerialScan(serials, entry) {
+  const key = serialKey(entry.gtin14, entry.serial);
+  const record = serials.get(key) || { key, gtin14: entry.gtin14, serial: entry.serial, productName: '', scans: [] };
+  record.scans.push({
+    entryId: entry.id,
+    scanTime: entry.scanTime,
+    sessionId: entry.sessionId !== undefined ? entry.sessionId : null
+  });
+  record.productName = entry.productName || record.productName;
+  serials.set(key, record);
+  return record;
+}
+
+// The registry as the history alone gives it, for history from before the registry and for restores
+function buildSerialRegistry(rows) {
+  const serials = new Map();
+  rows
+    .filter(row => row.gtin14 && row.serial)
+    .sort((a, b) => new Date(a.scanTime).getTime() - new Date(b.scanTime).getTime())
+    .forEach(row => addSerialScan(serials, row));
+  return serials;
+}
+
+// The latest earlier scan of the entry's pack, or null the first time it is seen
+function findPreviousSerialScan(entry) {
+  if (!entry.gtin14 || !entry.serial) return null;
+  const record = AppState.serials.get(serialKey(entry.gtin14, entry.serial));
+  if (!record) return null;
+  return { ...record.scans[record.scans.length - 1], times: record.scans.length };
+}
+
+async function registerSerial(entry) {
+  if (!entry.gtin14 || !entry.serial) return;
+  await saveSerial(addSerialScan(AppState.serials, entry));
+}
+
+function getSerialScanCount(row) {
+  if (!row.gtin14 || !row.serial) return 0;
+  const record = AppState.serials.get(serialKey(row.gtin14, row.serial));
+  return record ? record.scans.length : 0;
+}
+
+function formatSerialSession(sessionId) {
+  if (sessionId === null) return 'outside a count';
+  const session = AppState.sessions.find(s => s.id === sessionId);
+  return session ? `in count "${session.name}"` : 'in a deleted count';
+}
+
+function describeRepeatedSerial(entry) {
+  const previous = entry.repeatedSerial;
+  const times = previous.times > 1 ? ` (${previous.times} times before)` : '';
+  return `Serial ${entry.serial} was already scanned ${formatDateTime(previous.scanTime)} ${formatSerialSession(previous.sessionId)}${times}`;
+}
+
+function getRepeatedSerials() {
+  return [...AppState.serials.values()]
+    .filter(record => record.scans.length > 1)
+    .sort((a, b) => new Date(b.scans[b.scans.length - 1].scanTime).getTime() - new Date(a.scans[a.scans.length - 1].scanTime).getTime());
+}
+
+function renderSerialBadge(row) {
+  const count = getSerialScanCount(row);
+  if (count < 2) return '';
+  return ` <span class="validation-badge warning" title="This GTIN + serial was scanned ${count} times">×${count}</span>`;
+}
+
+function renderRepeatedSerials() {
+  const records = getRepeatedSerials();
+  document.getElementById('repeatedSerialCount').textContent = records.length;
+  document.getElementById('exportRepeatedSerialsBtn').disabled = records.length === 0;
+  document.getElementById('repeatedSerialTable').style.display = records.length > 0 ? 'block' : 'none';
+  document.getElementById('repeatedSerialEmpty').style.display = records.length > 0 ? 'none' : 'block';
+
+  document.getElementById('repeatedSerialBody').innerHTML = records.map(record => `
+    <tr>
+      <td class="mono">${record.gtin14}</td>
+      <td class="mono">${escapeHtml(record.serial)}</td>
+      <td class="truncate">${escapeHtml(record.productName) || '-'}</td>
+      <td class="mono">${record.scans.length}</td>
+      <td title="${escapeAttr(record.scans.map(scan => `${formatDateTime(scan.scanTime)} ${formatSerialSession(scan.sessionId)}`).join('\n'))}">
+        ${formatDateTime(record.scans[0].scanTime)} – ${formatDateTime(record.scans[record.scans.length - 1].scanTime)}
+      </td>
+    </tr>
+  `).join('');
+}
+
+function exportRepeatedSerials() {
+  const lines = [toCsvLine(REPEATED_SERIAL_EXPORT_HEADERS)];
+  for (const record of getRepeatedSerials()) {
+    lines.push(toCsvLine([
+      record.gtin14,
+      record.serial,
+      record.productName,
+      record.scans.length,
+      record.scans[0].scanTime,
+      record.scans[record.scans.length - 1].scanTime,
+      [...new Set(record.scans.map(scan => formatSerialSession(scan.sessionId)))].join('; ')
+    ]));
+  }
+  downloadFile(lines.join('\n'), `gs1-repeated-serials-${Date.now()}.csv`, 'text/csv');
+  showToast(`${lines.length - 1} repeated serials exported`, 'success');
+}
+
+// ============================================================================
+// PACK STATUS
+// ============================================================================
+
+// Scans the pack dialog was opened for, and where they came from
+let packScope = null;
+
+function getPackStatus(row) {
+  const pack = row.gtin14 && row.serial ? AppState.packs.get(serialKey(row.gtin14, row.serial)) : null;
+  return pack ? pack.status : 'active';
+}
+
+function renderPackBadge(row) {
+  const status = getPackStatus(row);
+  if (status === 'active') return '';
+  return ` <span class="expiry-badge ${PACK_STATUSES[status].badge}">${packStatusLabel(status)}</span>`;
+}
+
+// One pack per GTIN + serial, as last scanned; packs with no status yet start out active
+function collectPacks(rows) {
+  const latest = new Map();
+  for (const row of rows) {
+    if (!row.gtin14 || !row.serial) continue;
+    const key = serialKey(row.gtin14, row.serial);
+    const current = latest.get(key);
+    if (!current || new Date(row.scanTime).getTime() > new Date(current.scanTime).getTime()) {
+      latest.set(key, row);
+    }
+  }
+  return [...latest].map(([key, row]) => AppState.packs.get(key) || { key, ...createPack(row) });
+}
+
+function showPackStatusModal(rows, label) {
+  const packs = collectPacks(rows);
+  packScope = { packs, label };
+  const unserialized = rows.filter(row => !row.gtin14 || !row.serial).length;
+  document.getElementById('packScopeSummary').textContent = `${packs.length} serialized packs in ${label}` +
+    (unserialized > 0 ? `; ${unserialized} scans without a GTIN + serial are left out` : '');
+  document.getElementById('packReason').value = '';
+  document.getElementById('packVerifyBtn').disabled = packs.length === 0;
+  document.getElementById('packReviewBtn').disabled = packs.length === 0;
+  document.getElementById('packStatusModal').classList.add('active');
+}
+
+function hidePackStatusModal() {
+  document.getElementById('packStatusModal').classList.remove('active');
+  packScope = null;
+}
+
+function reviewPackStatusChange() {
+  const { packs, label } = packScope;
+  const to = document.getElementById('packTarget').value;
+  const reason = document.getElementById('packReason').value.trim();
+  hidePackStatusModal();
+
+  const now = new Date();
+  const checked = packs.map(pack => ({ pack, error: checkPackTransition(pack, to, now) }));
+  const allowed = checked.filter(item => !item.error).map(item => item.pack);
+  const blocked = checked.length - allowed.length;
+  const summary = `${allowed.length} of ${packs.length} packs in ${label} can be set to ${packStatusLabel(to).toLowerCase()}` +
+    (blocked > 0 ? `; ${blocked} cannot` : '') + '.';
+  const note = AppState.settings.verificationMode === 'http'
+    ? `Each change is sent to ${AppState.settings.verificationUrl} first and only kept if the service accepts it.`
+    : '';
+
+  showChangeReview('Set Pack Status', summary, checked.map(({ pack, error }) => ({
+    change: error || `${packStatusLabel(pack.status)} → ${packStatusLabel(to)}`,
+    badge: error ? 'expired' : PACK_STATUSES[to].badge,
+    gtin: pack.gtin14,
+    name: `${pack.serial} · ${pack.productName || '-'}`
+  })), allowed.length > 0 ? `Set ${allowed.length} Packs` : '', async () => {
+    let result;
+    try {
+      result = await applyPackStatusChanges(allowed, to, reason);
+    } catch (err) {
+      updateUI();
+      showToast('Status change stopped: ' + escapeHtml(err.message), 'error');
+      return;
+    }
+    updateUI();
+    if (result.rejected.length > 0) {
+      showToast(`${result.changed} packs set to ${packStatusLabel(to).toLowerCase()}; the service rejected ${result.rejected.length}: ${escapeHtml(result.rejected[0].message)}`, 'warning');
+    } else {
+      showToast(`${result.changed} packs set to ${packStatusLabel(to).toLowerCase()}`, 'success');
+    }
+  }, note);
+}
+
+// The service is asked first, pack by pack; one it cannot be reached for stops the rest
+async function applyPackStatusChanges(packs, to, reason) {
+  const adapter = createVerificationAdapter(AppState.settings);
+  const by = AppState.settings.operatorName || '';
+  const rejected = [];
+  let changed = 0;
+
+  for (const pack of packs) {
+    const response = await adapter.setStatus(pack, pack.status, to);
+    const at = new Date().toISOString();
+    const verification = { status: response.status, message: response.message, service: adapter.name, at };
+    const updated = response.ok
+      ? { ...applyPackTransition(pack, to, { at, by, reason }), verification }
+      : { ...pack, verification };
+    if (response.ok) changed++;
+    else rejected.push({ pack, message: response.message });
+
+    AppState.packs.set(updated.key, updated);
+    await savePacks([updated]);
+  }
+
+  return { changed, rejected };
+}
+
+async function runPackVerification(packs) {
+  if (AppState.settings.verificationMode !== 'http') {
+    showToast('Set up a verification service under Settings first', 'warning');
+    return;
+  }
+  let verified;
+  try {
+    verified = await verifyPacks(packs);
+  } catch (err) {
+    updateUI();
+    showToast('Verification stopped: ' + escapeHtml(err.message), 'error');
+    return;
+  }
+  updateUI();
+  const flagged = verified.filter(pack => getVerificationState(pack) !== 'ok').length;
+  showToast(flagged > 0 ? `${flagged} of ${verified.length} packs need attention` : `${verified.length} packs verified`, flagged > 0 ? 'warning' : 'success');
+}
+
+async function verifyPacks(packs) {
+  const adapter = createVerificationAdapter(AppState.settings);
+  const updated = [];
+  try {
+    for (const pack of packs) {
+      const response = await adapter.verify(pack);
+      updated.push({
+        ...pack,
+        verification: { status: response.status, message: response.message, service: adapter.name, at: new Date().toISOString() }
+      });
+    }
+  } finally {
+    updated.forEach(pack => AppState.packs.set(pack.key, pack));
+    await savePacks(updated);
+  }
+  return updated;
+}
+
+// 'ok' when the service agrees with the local status
+function getVerificationState(pack) {
+  const verification = pack.verification;
+  if (!verification) return 'unchecked';
+  if (verification.status === null) return 'unknown';
+  if (verification.status !== pack.status || verification.message) return 'mismatch';
+  return 'ok';
+}
+
+function renderVerification(pack) {
+  const verification = pack.verification;
+  const state = getVerificationState(pack);
+  if (state === 'unchecked') return '-';
+  const label = state === 'ok' ? 'Verified'
+    : state === 'unknown' ? 'Unknown'
+    : `Service: ${packStatusLabel(verification.status || pack.status)}`;
+  const badge = state === 'ok' ? 'ok' : 'expired';
+  const title = [verification.message, `${verification.service}, ${formatDateTime(verification.at)}`].filter(Boolean).join('\n');
+  return `<span class="expiry-badge ${badge}" title="${escapeAttr(title)}">${escapeHtml(label)}</span>`;
+}
+
+function getShownPacks() {
+  const filter = document.getElementById('packFilter').value;
+  return [...AppState.packs.values()]
+    .filter(pack => filter === 'all' ? true
+      : filter === 'attention' ? ['unknown', 'mismatch'].includes(getVerificationState(pack))
+      : pack.status === filter)
+    .sort((a, b) => new Date(b.updatedAt || 0).getTime() - new Date(a.updatedAt || 0).getTime());
+}
+
+function renderPacks() {
+  const packs = [...AppState.packs.values()];
+  const counts = {};
+  packs.forEach(pack => { counts[pack.status] = (counts[pack.status] || 0) + 1; });
+  document.getElementById('packCount').textContent = packs.length;
+  document.getElementById('packSummary').textContent = packs.length > 0
+    ? Object.keys(PACK_STATUSES).filter(status => counts[status]).map(status => `${packStatusLabel(status)} ${counts[status]}`).join(' · ')
+    : 'Packs get a status here once it is changed or verified from History or a count.';
+
+  const shown = getShownPacks();
+  document.getElementById('verifyShownPacksBtn').disabled = shown.length === 0;
+  document.getElementById('packTable').style.display = shown.length > 0 ? 'block' : 'none';
+  document.getElementById('packEmpty').style.display = shown.length > 0 ? 'none' : 'block';
+  document.getElementById('packBody').innerHTML = shown.map(pack => {
+    const last = pack.events[pack.events.length - 1];
+    const history = pack.events.map(event => `${formatDateTime(event.at)} ${packStatusLabel(event.from)} → ${packStatusLabel(event.to)}` +
+      `${event.by ? ` by ${event.by}` : ''}${event.reason ? `: ${event.reason}` : ''}`).join('\n');
+    return `
+      <tr>
+        <td><span class="expiry-badge ${PACK_STATUSES[pack.status].badge}">${packStatusLabel(pack.status)}</span></td>
+        <td class="mono">${pack.gtin14}</td>
+        <td class="mono">${escapeHtml(pack.serial)}</td>
+        <td class="mono">${escapeHtml(pack.batch) || '-'}</td>
+        <td class="mono">${pack.expiry || '-'}</td>
+        <td class="truncate">${escapeHtml(pack.productName) || '-'}</td>
+        <td title="${escapeAttr(history)}">${last ? `${formatDateTime(last.at)}${last.reason ? ` · ${escapeHtml(last.reason)}` : ''}` : '-'}</td>
+        <td>${renderVerification(pack)}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// ============================================================================
+// RECALLS
+// ============================================================================
+
+// Range ends come first so "Batch To" is not taken for the batch column
+const RECALL_FIELDS = [
+  { key: 'gtin', label: 'GTIN', keywords: ['gtin', 'barcode', 'ean', 'upc', 'code'] },
+  { key: 'batchTo', label: 'Batch To', keywords: ['batch to', 'lot to', 'to batch', 'to lot', 'batch end', 'lot end', 'last batch', 'last lot'] },
+  { key: 'batch', label: 'Batch', keywords: ['batch', 'lot'] },
+  { key: 'date', label: 'Recall Date', keywords: ['date'] },
+  { key: 'reason', label: 'Reason', keywords: ['reason', 'description', 'notice', 'comment'] },
+  { key: 'name', label: 'Product Name', keywords: ['name', 'product'] }
+];
+
+const RECALL_EXPOSURE_EXPORT_HEADERS = ['GTIN14', 'Product Name', 'Recalled Batch', 'Reason', 'Recall Date', 'Scan Time', 'Batch', 'Serial', 'Qty', 'Count', 'Pack Status', 'Acknowledged By', 'Acknowledged At'];
+
+// Batch ranges compare digit runs as numbers, so LOT9 comes before LOT10; case is ignored
+const BATCH_COLLATOR = new Intl.Collator('en', { numeric: true, sensitivity: 'base' });
+
+function buildRecallIndex(recalls) {
+  const index = new Map();
+  for (const recall of recalls) {
+    if (!index.has(recall.gtin14)) index.set(recall.gtin14, []);
+    index.get(recall.gtin14).push(recall);
+  }
+  return index;
+}
+
+function setRecalls(recalls) {
+  AppState.recalls = recalls;
+  AppState.recallIndex = buildRecallIndex(recalls);
+}
+
+function recallKey(recall) {
+  return `${recall.gtin14}|${recall.batchFrom.toUpperCase()}|${recall.batchTo.toUpperCase()}`;
+}
+
+function formatRecallBatch(recall) {
+  return recall.batchFrom === recall.batchTo ? recall.batchFrom : `${recall.batchFrom} – ${recall.batchTo}`;
+}
+
+// A single batch must match exactly, ignoring case: the numeric compare used for ranges
+// would treat 012345 and 12345 as one batch
+function findRecall(entry) {
+  if (!entry.gtin14 || !entry.batch) return null;
+  const batch = entry.batch.toUpperCase();
+  return (AppState.recallIndex.get(entry.gtin14) || []).find(recall => recall.batchFrom === recall.batchTo
+    ? batch === recall.batchFrom.toUpperCase()
+    : BATCH_COLLATOR.compare(entry.batch, recall.batchFrom) >= 0 && BATCH_COLLATOR.compare(entry.batch, recall.batchTo) <= 0
+  ) || null;
+}
+
+// What a scan keeps of the recall it matched, so the flag still reads right if the list changes.
+// Retroactive flags come from a list loaded after the scan and raise no alert.
+function recallFlag(recall, flaggedAt, retroactive) {
+  return {
+    id: recall.id,
+    batch: formatRecallBatch(recall),
+    reason: recall.reason,
+    date: recall.date,
+    dateFormatted: recall.dateFormatted,
+    flaggedAt,
+    retroactive
+  };
+}
+
+function describeRecall(flag) {
+  return `Recalled batch ${flag.batch}${flag.dateFormatted ? ` (${flag.dateFormatted})` : ''}${flag.reason ? `: ${flag.reason}` : ''}`;
+}
+
+function parseRecallFile(content, filename) {
+  const file = /\.json$/i.test(filename) ? readJsonRows(content) : readDelimitedFile(content);
+  const columns = detectColumns(file.headers, RECALL_FIELDS);
+  if (columns.gtin === undefined) throw new Error('No GTIN column found');
+  if (columns.batch === undefined) throw new Error('No batch/lot column found');
+
+  const recalls = new Map();
+  const skipped = [];
+  const cell = (cols, key) => columns[key] === undefined ? '' : (cols[columns[key]] || '').trim();
+
+  for (const { line, cols } of file.rows) {
+    const { gtin, reason } = parseGtinCell(cols[columns.gtin]);
+    const batchFrom = cell(cols, 'batch');
+    const batchTo = cell(cols, 'batchTo') || batchFrom;
+    const date = parseDocumentDate(cell(cols, 'date'));
+    const problem = reason ||
+      (!batchFrom && 'No batch') ||
+      (BATCH_COLLATOR.compare(batchFrom, batchTo) > 0 && 'Batch range ends before it starts') ||
+      (!date && 'Recall date is not a date');
+    if (problem) {
+      skipped.push({ line, reason: problem });
+      continue;
+    }
+
+    const gtin14 = gtin.padStart(14, '0');
+    const recall = {
+      gtin14,
+      batchFrom,
+      batchTo,
+      reason: cell(cols, 'reason'),
+      date: date.iso,
+      dateFormatted: date.formatted,
+      productName: cell(cols, 'name') || (AppState.masterIndex.items.get(gtin14) || {}).name || ''
+    };
+    recalls.set(recallKey(recall), recall);
+  }
+
+  return { recalls: [...recalls.values()], skipped };
+}
+
+// Re-checks every scan against the recall list and saves the ones whose flag changed
+async function refreshRecallFlags() {
+  const flaggedAt = new Date().toISOString();
+  const changed = [];
+  for (const row of AppState.historyRows) {
+    const recall = findRecall(row);
+    if (recall && (!row.recall || row.recall.id !== recall.id)) {
+      row.recall = recallFlag(recall, flaggedAt, true);
+      changed.push(row);
+    } else if (!recall && row.recall) {
+      delete row.recall;
+      delete row.recallAcknowledged;
+      changed.push(row);
+    }
+  }
+  if (changed.length > 0) await updateHistoryEntries(changed);
+  return changed.filter(row => row.recall).length;
+}
+
+function handleRecallFile(file) {
+  const reader = new FileReader();
+  reader.onload = async (e) => {
+    try {
+      const { recalls, skipped } = parseRecallFile(e.target.result, file.name);
+      if (recalls.length === 0) throw new Error('No usable lines');
+      const known = new Set(AppState.recalls.map(recallKey));
+      const added = recalls.filter(recall => !known.has(recallKey(recall)));
+
+      const importedAt = new Date().toISOString();
+      added.forEach(recall => Object.assign(recall, { source: file.name, importedAt }));
+      const ids = await addRecalls(added);
+      added.forEach((recall, i) => { recall.id = ids[i]; });
+      setRecalls([...AppState.recalls, ...added]);
+      const flagged = await refreshRecallFlags();
+      updateUI();
+
+      const notes = [
+        recalls.length > added.length ? `${recalls.length - added.length} already listed` : '',
+        skipped.length > 0 ? `${skipped.length} rows skipped (${summarizeSkippedRows(skipped.reduce((counts, row) => ({ ...counts, [row.reason]: (counts[row.reason] || 0) + 1 }), {}))})` : ''
+      ].filter(Boolean).join('; ');
+      showToast(`Added ${added.length} recalls from ${escapeHtml(file.name)}${notes ? `; ${notes}` : ''}. ${flagged} scans in history are affected.`,
+        flagged > 0 || skipped.length > 0 ? 'warning' : 'success');
+    } catch (err) {
+      showToast('Error reading recall list: ' + escapeHtml(err.message), 'error');
+    }
+  };
+  reader.readAsText(file);
+}
+
+async function removeRecalls(ids) {
+  for (const id of ids) await deleteRecall(id);
+  setRecalls(AppState.recalls.filter(recall => !ids.includes(recall.id)));
+  await refreshRecallFlags();
+  updateUI();
+}
+
+// Recalled scans stop the scanner until someone acknowledges each of them
+function queueRecallAlert(entry) {
+  if (entry.recall.retroactive || entry.recallAcknowledged || AppState.recallAlerts.includes(entry)) return;
+  AppState.recallAlerts.push(entry);
+  renderRecallAlert();
+}
+
+function renderRecallAlert() {
+  const entry = AppState.recallAlerts[0];
+  document.getElementById('recallModal').classList.toggle('active', Boolean(entry));
+  if (!entry) return;
+
+  document.getElementById('recallProduct').textContent = `${entry.productName || 'Unknown product'} · ${entry.gtin14}`;
+  document.getElementById('recallDetails').textContent = [
+    `Batch ${entry.batch}${entry.serial ? `, serial ${entry.serial}` : ''}`,
+    describeRecall(entry.recall),
+    `Scanned ${formatDateTime(entry.scanTime)}`
+  ].join('\n');
+  const waiting = AppState.recallAlerts.length - 1;
+  document.getElementById('recallQueue').textContent = waiting > 0 ? `${waiting} more recalled scans waiting` : '';
+  document.getElementById('acknowledgeAllRecallsBtn').style.display = waiting > 0 ? 'inline-flex' : 'none';
+}
+
+async function acknowledgeRecallAlerts(all) {
+  const entries = all ? AppState.recallAlerts.splice(0) : AppState.recallAlerts.splice(0, 1);
+  const acknowledged = { at: new Date().toISOString(), by: AppState.settings.operatorName || '' };
+  entries.forEach(entry => { entry.recallAcknowledged = acknowledged; });
+  renderRecallAlert();
+  await updateHistoryEntries(entries);
+  renderHistoryTable();
+}
+
+function getRecallExposure() {
+  const scansByRecall = new Map();
+  for (const row of AppState.historyRows) {
+    if (!row.recall) continue;
+    if (!scansByRecall.has(row.recall.id)) scansByRecall.set(row.recall.id, []);
+    scansByRecall.get(row.recall.id).push(row);
+  }
+
+  return AppState.recalls.map(recall => {
+    const scans = scansByRecall.get(recall.id) || [];
+    const packs = new Set(scans.filter(row => row.serial).map(row => serialKey(row.gtin14, row.serial)));
+    return {
+      recall,
+      scans,
+      units: scans.reduce((sum, row) => sum + parseCountQty(row.qty), 0),
+      packs: packs.size,
+      dispensed: [...packs].filter(key => (AppState.packs.get(key) || {}).status === 'dispensed').length,
+      lastScan: scans.reduce((latest, row) => !latest || row.scanTime > latest ? row.scanTime : latest, '')
+    };
+  }).sort((a, b) => b.scans.length - a.scans.length || (b.recall.date || '').localeCompare(a.recall.date || ''));
+}
+
+function renderRecalls() {
+  const exposure = getRecallExposure();
+  const filter = document.getElementById('recallFilter').value;
+  const shown = filter === 'exposed' ? exposure.filter(item => item.scans.length > 0) : exposure;
+  const exposed = exposure.filter(item => item.scans.length > 0);
+
+  document.getElementById('recallCount').textContent = AppState.recalls.length;
+  document.getElementById('clearRecallsBtn').disabled = AppState.recalls.length === 0;
+  document.getElementById('exportExposureBtn').disabled = exposed.length === 0;
+  document.getElementById('recallSummary').textContent = AppState.recalls.length > 0
+    ? `${exposed.length} of ${AppState.recalls.length} recalls found in history: ` +
+      `${exposed.reduce((sum, item) => sum + item.scans.length, 0)} scans, ${exposed.reduce((sum, item) => sum + item.units, 0)} units, ` +
+      `${exposed.reduce((sum, item) => sum + item.dispensed, 0)} serialized packs already dispensed.`
+    : 'Load a recall list (CSV, TSV or JSON) with GTIN and batch/lot columns. A "Batch To" column turns a row into a batch range; reason and recall date columns are kept.';
+
+  document.getElementById('recallTable').style.display = shown.length > 0 ? 'block' : 'none';
+  document.getElementById('recallEmpty').style.display = shown.length > 0 ? 'none' : 'block';
+  document.getElementById('recallBody').innerHTML = shown.map(({ recall, scans, units, packs, dispensed, lastScan }) => `
+    <tr>
+      <td class="mono">${recall.gtin14}</td>
+      <td class="mono">${escapeHtml(formatRecallBatch(recall))}</td>
+      <td class="truncate" title="${escapeAttr(recall.productName)}">${escapeHtml(recall.productName) || '-'}</td>
+      <td class="truncate" title="${escapeAttr(`${recall.reason}\n${recall.source}, ${formatDateTime(recall.importedAt)}`)}">${escapeHtml(recall.reason) || '-'}</td>
+      <td class="mono">${recall.dateFormatted || '-'}</td>
+      <td><span class="expiry-badge ${scans.length > 0 ? 'expired' : 'ok'}">${scans.length}</span></td>
+      <td class="mono">${units}</td>
+      <td class="mono">${packs}${dispensed > 0 ? ` <span class="expiry-badge soon">${dispensed} dispensed</span>` : ''}</td>
+      <td class="mono">${lastScan ? formatDateTime(lastScan) : '-'}</td>
+      <td>
+        <button class="btn btn-ghost btn-sm" data-action="delete-recall" data-id="${recall.id}" title="Remove this recall">Remove</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+function exportRecallExposure() {
+  const lines = [toCsvLine(RECALL_EXPOSURE_EXPORT_HEADERS)];
+  for (const { recall, scans } of getRecallExposure()) {
+    for (const row of scans) {
+      const session = AppState.sessions.find(s => s.id === row.sessionId);
+      lines.push(toCsvLine([
+        recall.gtin14,
+        recall.productName || row.productName || '',
+        formatRecallBatch(recall),
+        recall.reason,
+        recall.date,
+        row.scanTime,
+        row.batch,
+        row.serial || '',
+        row.qty || '1',
+        session ? session.name : '',
+        row.serial ? packStatusLabel(getPackStatus(row)) : '',
+        row.recallAcknowledged ? row.recallAcknowledged.by : '',
+        row.recallAcknowledged ? row.recallAcknowledged.at : ''
+      ]));
+    }
+  }
+  downloadFile(lines.join('\n'), `gs1-recall-exposure-${Date.now()}.csv`, 'text/csv');
+  showToast(`${lines.length - 1} recalled scans exported`, 'success');
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+async function init() {
+  try {
+    await initDB();
+    
+    const history = await loadAllHistory();
+    AppState.historyRows = history.sort((a, b) => 
+      new Date(b.scanTime).getTime() - new Date(a.scanTime).getTime()
+    );
+    
+    const master = await loadMasterData();
+    AppState.masterVersions = (await loadMasterVersions()).sort((a, b) => b.id - a.id);
+    if (master.length > 0 && AppState.masterVersions.length === 0) {
+      // Master data from before versioning becomes the first version
+      await commitMasterVersion(master, {
+        source: 'Existing master data',
+        action: 'baseline',
+        createdAt: await loadSetting('masterLastUpdated')
+      });
+    } else {
+      setMasterData(master);
+    }
+
+    const aliases = await loadAliases();
+    AppState.aliases = new Map(aliases.map(alias => [alias.gtin, alias]));
+
+    AppState.sessions = (await loadSessions()).sort((a, b) => b.id - a.id);
+    const serials = await loadSerials();
+    if (serials.length > 0) {
+      AppState.serials = new Map(serials.map(record => [record.key, record]));
+    } else {
+      // History scanned before the registry existed seeds it
+      AppState.serials = buildSerialRegistry(AppState.historyRows);
+      if (AppState.serials.size > 0) await replaceSerials([...AppState.serials.values()]);
+    }
+
+    const packs = await loadPacks();
+    AppState.packs = new Map(packs.map(pack => [pack.key, pack]));
+    setRecalls(await loadRecalls());
+
+    const activeSessionId = await loadSetting('activeSessionId');
+    const activeSession = AppState.sessions.find(session => session.id === activeSessionId);
+    AppState.activeSessionId = activeSession && !activeSession.endedAt ? activeSession.id : null;
+
+    await loadSettings();
     
     setupEventListeners();
+    renderSettings();
+    renderWedgeStatus();
+    renderBatch();
     updateUI();
     
     if ('serviceWorker' in navigator) {
@@ -0,0 +1,40 @@
+/**
+ * GS1 Parser PWA - Decode Worker
+ * Decodes camera frames off the main thread
+ */
+
+importScripts('decoder.js');
+
+let decoderPromise = null;
+
+self.addEventListener('message', async (event) => {
+  const { type, id, frame } = event.data || {};
+  if (type !== 'decode') return;
+
+  try {
+    if (!decoderPromise) {
+      decoderPromise = createBarcodeDecoder();
+    }
+    const decoder = await decoderPromise;
+
+    const started = performance.now();
+    const barcodes = await decoder.detect(frame);
+    self.postMessage({
+      id,
+      decoder: decoder.name,
+      decodeMs: performance.now() - started,
+      barcodes: barcodes.map(barcode => ({
+        rawValue: barcode.rawValue,
+        format: barcode.format,
+        cornerPoints: (barcode.cornerPoints || []).map(p => ({ x: p.x, y: p.y }))
+      }))
+    });
+  } catch (err) {
+    decoderPromise = null;
+    self.postMessage({ id, error: err.message || String(err) });
+  } finally {
+    if (frame && typeof frame.close === 'function') {
+      frame.close();
+    }
+  }
+});
@@ -0,0 +1,136 @@
+/**
+ * GS1 Parser PWA - Barcode Decoding
+ * Common decoder interface used by the app and the decode worker: the native
+ * BarcodeDetector where the browser has one, the bundled ZXing reader otherwise
+ */
+
+const DECODER_FORMATS = ['data_matrix', 'qr_code', 'code_128', 'ean_13', 'ean_8', 'upc_a', 'upc_e', 'itf'];
+const ZXING_SCRIPT = 'vendor/zxing-library.min.js';
+const ZXING_MAX_DIMENSION = 2048;
+
+// ZXing BarcodeFormat -> BarcodeDetector format name
+const ZXING_FORMAT_NAMES = {
+  DATA_MATRIX: 'data_matrix',
+  QR_CODE: 'qr_code',
+  CODE_128: 'code_128',
+  EAN_13: 'ean_13',
+  EAN_8: 'ean_8',
+  UPC_A: 'upc_a',
+  UPC_E: 'upc_e',
+  ITF: 'itf'
+};
+
+async function createBarcodeDecoder() {
+  if ('BarcodeDetector' in self) {
+    const supported = await BarcodeDetector.getSupportedFormats();
+    const formats = DECODER_FORMATS.filter(f => supported.includes(f));
+    if (formats.length > 0) {
+      const detector = new BarcodeDetector({ formats });
+      return {
+        name: 'BarcodeDetector',
+        frameInterval: 0,
+        detect: (source) => detector.detect(source)
+      };
+    }
+  }
+
+  const ZXing = await loadZxing();
+  return createZxingDecoder(ZXing);
+}
+
+function loadZxing() {
+  if (self.ZXing) {
+    return Promise.resolve(self.ZXing);
+  }
+  if (typeof importScripts === 'function') {
+    importScripts(ZXING_SCRIPT);
+    return Promise.resolve(self.ZXing);
+  }
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = ZXING_SCRIPT;
+    script.onload = () => resolve(self.ZXing);
+    script.onerror = () => reject(new Error('Could not load the bundled barcode decoder'));
+    document.head.appendChild(script);
+  });
+}
+
+function createZxingReader(ZXing) {
+  const reader = new ZXing.MultiFormatReader();
+  const hints = new Map();
+  hints.set(ZXing.DecodeHintType.POSSIBLE_FORMATS, Object.keys(ZXING_FORMAT_NAMES).map(f => ZXing.BarcodeFormat[f]));
+  hints.set(ZXing.DecodeHintType.TRY_HARDER, true);
+  hints.set(ZXing.DecodeHintType.ASSUME_GS1, true);
+  reader.setHints(hints);
+  return reader;
+}
+
+function createZxingDecoder(ZXing) {
+  const reader = createZxingReader(ZXing);
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(1, 1)
+    : document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  return {
+    name: 'ZXing',
+    frameInterval: 200,
+    detect: async (source) => {
+      if (source instanceof ImageData) return decodeImageData(ZXing, reader, source);
+      const grabbed = grabImageData(source, canvas, ctx);
+      return grabbed ? decodeImageData(ZXing, reader, grabbed.imageData, grabbed.scale) : [];
+    }
+  };
+}
+
+function getSourceSize(source) {
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width || 0,
+    height: source.videoHeight || source.naturalHeight || source.height || 0
+  };
+}
+
+// Large sources are scaled down for ZXing; the scale is returned so points can be mapped back
+function grabImageData(source, canvas, ctx) {
+  const { width, height } = getSourceSize(source);
+  if (!width || !height) return null;
+
+  const scale = Math.min(1, ZXING_MAX_DIMENSION / Math.max(width, height));
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return { imageData: ctx.getImageData(0, 0, canvas.width, canvas.height), scale };
+}
+
+function imageDataToLuminance(imageData) {
+  const { data, width, height } = imageData;
+  const luminance = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < luminance.length; i++, p += 4) {
+    luminance[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+  }
+  return luminance;
+}
+
+function decodeImageData(ZXing, reader, imageData, scale = 1) {
+  const source = new ZXing.RGBLuminanceSource(imageDataToLuminance(imageData), imageData.width, imageData.height);
+  const bitmap = new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(source));
+
+  let result;
+  try {
+    result = reader.decodeWithState(bitmap);
+  } catch (err) {
+    if (err instanceof ZXing.NotFoundException || err instanceof ZXing.ChecksumException || err instanceof ZXing.FormatException) {
+      return [];
+    }
+    throw err;
+  } finally {
+    reader.reset();
+  }
+
+  const formatKey = ZXing.BarcodeFormat[result.getBarcodeFormat()];
+  return [{
+    rawValue: result.getText(),
+    format: ZXING_FORMAT_NAMES[formatKey] || String(formatKey).toLowerCase(),
+    cornerPoints: (result.getResultPoints() || []).map(p => ({ x: p.getX() / scale, y: p.getY() / scale }))
+  }];
+}
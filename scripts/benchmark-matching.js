@@ -0,0 +1,142 @@
+/**
+ * GS1 Parser PWA - Matching benchmark
+ * Compares the indexed fuzzy matcher with the previous full-map SEQ6 scan
+ * on a synthetic master. Usage: node scripts/benchmark-matching.js [rows] [queries]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROWS = Number(process.argv[2]) || 100000;
+const QUERIES = Number(process.argv[3]) || 2000;
+const LEGACY_QUERIES = Math.min(QUERIES, 200);
+
+function loadApp() {
+  const context = {
+    console,
+    document: { addEventListener() {} },
+    window: {},
+    navigator: {},
+    performance,
+    setTimeout,
+    clearTimeout,
+    URL,
+    URLSearchParams,
+    TextDecoder,
+    TextEncoder
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8'), context, { filename: 'app.js' });
+  return context;
+}
+
+// Deterministic PRNG so runs are comparable
+function createRandom(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 4294967296;
+  };
+}
+
+function randomDigits(random, length) {
+  let digits = '';
+  for (let i = 0; i < length; i++) {
+    digits += Math.floor(random() * 10);
+  }
+  return digits;
+}
+
+function withCheckDigit(app, body) {
+  return body + app.gs1CheckDigit(body);
+}
+
+function buildMaster(app, random) {
+  const rows = [];
+  for (let i = 0; i < ROWS; i++) {
+    rows.push({ gtin: withCheckDigit(app, '0' + randomDigits(random, 12)), name: `Product ${i}` });
+  }
+  return rows;
+}
+
+// Codes that miss the exact and last-8 tiers but share a 6-digit run with a master GTIN
+function buildSeqQueries(app, master, random) {
+  const queries = [];
+  while (queries.length < QUERIES) {
+    const source = master[Math.floor(random() * master.length)].gtin;
+    const body = '0' + randomDigits(random, 3) + source.slice(4, 10) + randomDigits(random, 3);
+    queries.push(app.parseGs1('01' + withCheckDigit(app, body)));
+  }
+  return queries;
+}
+
+// The pre-index SEQ6 tier: every window scans the whole exact map
+function legacySeq6(parsed, index) {
+  const last10 = parsed.gtin14.slice(-10);
+  const seq6Matches = [];
+  for (let i = 0; i <= last10.length - 6; i++) {
+    const seq6 = last10.substring(i, i + 6);
+    for (const [gtin, name] of index.exact) {
+      if (gtin.includes(seq6) && !seq6Matches.find(m => m.gtin === gtin)) {
+        seq6Matches.push({ gtin, name });
+      }
+    }
+  }
+  return seq6Matches;
+}
+
+function time(fn) {
+  const started = performance.now();
+  const result = fn();
+  return { ms: performance.now() - started, result };
+}
+
+function main() {
+  const app = loadApp();
+  const random = createRandom(42);
+  const seqOnly = { last8: false, seq6: true };
+
+  console.log(`Synthetic master: ${ROWS} rows, ${QUERIES} queries\n`);
+
+  const master = buildMaster(app, random);
+  const build = time(() => app.buildMasterIndex(master));
+  const index = build.result;
+  console.log(`Index build:          ${build.ms.toFixed(0)} ms (${index.seq6.size} distinct 6-digit runs)`);
+
+  const queries = buildSeqQueries(app, master, random);
+  const aliases = new Map();
+
+  const exact = time(() => master.slice(0, QUERIES).forEach(row => app.matchProduct(app.parseGs1('01' + row.gtin), index, aliases)));
+  console.log(`Exact match:          ${(exact.ms * 1000 / QUERIES).toFixed(1)} µs/scan`);
+
+  const indexed = time(() => queries.map(q => app.matchProduct(q, index, aliases, seqOnly)));
+  console.log(`SEQ6 indexed:         ${(indexed.ms * 1000 / QUERIES).toFixed(1)} µs/scan`);
+
+  const legacy = time(() => queries.slice(0, LEGACY_QUERIES).map(q => legacySeq6(q, index)));
+  console.log(`SEQ6 full scan:       ${(legacy.ms * 1000 / LEGACY_QUERIES).toFixed(1)} µs/scan (${LEGACY_QUERIES} queries)`);
+  console.log(`Speed-up:             ${((legacy.ms / LEGACY_QUERIES) / (indexed.ms / QUERIES)).toFixed(0)}x\n`);
+
+  // Both must find the same products (the full scan also visits the 13-digit keys)
+  let mismatches = 0;
+  legacy.result.forEach((legacyMatches, i) => {
+    const expected = new Set(legacyMatches.map(m => m.gtin.padStart(14, '0')));
+    const match = indexed.result[i];
+    const actual = new Set(match.candidates ? match.candidates.map(c => c.gtin) : match.matchedGtin ? [match.matchedGtin] : []);
+    if (expected.size !== actual.size || [...expected].some(gtin => !actual.has(gtin))) {
+      mismatches++;
+    }
+  });
+  console.log(`Result agreement:     ${LEGACY_QUERIES - mismatches}/${LEGACY_QUERIES}`);
+
+  const tiers = {};
+  indexed.result.forEach(match => {
+    tiers[match.matchType] = (tiers[match.matchType] || 0) + 1;
+  });
+  console.log(`Outcomes:             ${Object.entries(tiers).map(([type, count]) => `${type} ${count}`).join(', ')}`);
+
+  if (mismatches > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,113 @@
+/**
+ * GS1 Parser PWA - Mock verification service
+ * Answers the HTTP verification adapter from memory, using the app's own pack-status
+ * state machine. Usage: node scripts/mock-verification-server.js [port]
+ *
+ * Every pack starts out active, except serials starting with UNKNOWN (not found)
+ * and STOLEN (reported stolen), so alerts can be tried without seeding data.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+const PORT = Number(process.argv[2]) || 8787;
+
+function loadVerification() {
+  const context = { console, setTimeout, clearTimeout, URLSearchParams };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'verification.js'), 'utf8'), context, { filename: 'verification.js' });
+  return context;
+}
+
+const verification = loadVerification();
+const packs = new Map();
+
+function findPack(gtin14, serial, batch, expiry) {
+  const key = `${gtin14}|${serial}`;
+  if (!packs.has(key)) {
+    if (serial.startsWith('UNKNOWN')) return null;
+    const pack = verification.createPack({ gtin14, serial, batch, expiry });
+    if (serial.startsWith('STOLEN')) pack.status = 'stolen';
+    packs.set(key, pack);
+  }
+  return packs.get(key);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(data || '{}'));
+      } catch (err) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+// Data on the pack has to agree with what the service holds, as a national system checks it
+function findMismatch(pack, batch, expiry) {
+  if (batch && pack.batch && batch !== pack.batch) return `Batch ${batch} does not match ${pack.batch}`;
+  if (expiry && pack.expiry && expiry !== pack.expiry) return `Expiry ${expiry} does not match ${pack.expiry}`;
+  return '';
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (req.method === 'OPTIONS') return send(res, 204, {});
+  if (req.method === 'GET' && url.pathname === '/health') return send(res, 200, { ok: true, packs: packs.size });
+
+  const match = /^\/packs\/([^/]+)\/([^/]+)(\/status)?$/.exec(url.pathname);
+  if (!match) return send(res, 404, { message: 'Not found' });
+  const [, gtin14, serial, statusPath] = match.map(part => part && decodeURIComponent(part));
+
+  if (req.method === 'GET' && !statusPath) {
+    const batch = url.searchParams.get('batch') || '';
+    const expiry = url.searchParams.get('expiry') || '';
+    const pack = findPack(gtin14, serial, batch, expiry);
+    if (!pack) return send(res, 404, { message: 'Pack unknown to the verification service' });
+    return send(res, 200, { status: pack.status, message: findMismatch(pack, batch, expiry) });
+  }
+
+  if (req.method === 'POST' && statusPath) {
+    const body = await readBody(req);
+    if (!body || !body.to) return send(res, 400, { message: 'Expected JSON with "to"' });
+    const pack = findPack(gtin14, serial, body.batch || '', body.expiry || '');
+    if (!pack) return send(res, 404, { message: 'Pack unknown to the verification service' });
+
+    const mismatch = findMismatch(pack, body.batch, body.expiry);
+    if (mismatch) return send(res, 409, { status: pack.status, message: mismatch });
+    if (body.from && body.from !== pack.status) {
+      return send(res, 409, { status: pack.status, message: `Pack is ${verification.packStatusLabel(pack.status).toLowerCase()} here, not ${verification.packStatusLabel(body.from).toLowerCase()}` });
+    }
+    const error = verification.checkPackTransition(pack, body.to);
+    if (error) return send(res, 409, { status: pack.status, message: error });
+
+    const updated = verification.applyPackTransition(pack, body.to);
+    packs.set(`${gtin14}|${serial}`, updated);
+    console.log(`${gtin14} ${serial}: ${pack.status} -> ${updated.status}`);
+    return send(res, 200, { status: updated.status });
+  }
+
+  return send(res, 405, { message: 'Method not allowed' });
+}
+
+http.createServer((req, res) => {
+  handle(req, res).catch(err => send(res, 500, { message: err.message }));
+}).listen(PORT, () => {
+  console.log(`Mock verification service on http://localhost:${PORT}`);
+});
@@ -0,0 +1,248 @@
+/**
+ * GS1 Parser PWA - Spreadsheet Reading
+ * Reads XLSX and ODS workbooks in the browser: a minimal ZIP reader on top of
+ * DecompressionStream, and DOMParser for the sheet XML
+ */
+
+const SPREADSHEET_EXTENSIONS = ['xlsx', 'ods'];
+const ODS_TABLE_NS = 'urn:oasis:names:tc:opendocument:xmlns:table:1.0';
+const ODS_OFFICE_NS = 'urn:oasis:names:tc:opendocument:xmlns:office:1.0';
+const ODS_MAX_REPEAT = 10000;
+
+function isSpreadsheetFile(name) {
+  return SPREADSHEET_EXTENSIONS.includes(name.split('.').pop().toLowerCase());
+}
+
+// ============================================================================
+// ZIP
+// ============================================================================
+
+async function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a valid workbook (ZIP directory missing)');
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) break;
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return {
+    has: (name) => entries.has(name),
+    text: async (name) => {
+      const entry = entries.get(name);
+      if (!entry) return null;
+      return decoder.decode(await inflateZipEntry(buffer, entry));
+    }
+  };
+}
+
+async function inflateZipEntry(buffer, entry) {
+  const view = new DataView(buffer);
+  const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot unpack workbooks; save the sheet as CSV instead');
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Workbook XML could not be read');
+  }
+  return doc;
+}
+
+function byTag(node, name) {
+  return Array.from(node.getElementsByTagNameNS('*', name));
+}
+
+// ============================================================================
+// CELL VALUES
+// ============================================================================
+
+// Expands 6.297000001234E+12 without going through a float
+function expandScientific(value) {
+  const match = /^(-?)(\d+)(?:\.(\d+))?e([+-]?\d+)$/i.exec(value.trim());
+  if (!match) return value;
+  const [, sign, whole, fraction = '', exponent] = match;
+  const digits = whole + fraction;
+  const point = whole.length + Number(exponent);
+
+  let result;
+  if (point >= digits.length) {
+    result = digits + '0'.repeat(point - digits.length);
+  } else if (point <= 0) {
+    result = '0.' + '0'.repeat(-point) + digits;
+  } else {
+    result = digits.slice(0, point) + '.' + digits.slice(point);
+  }
+  return sign + result.replace(/^0+(?=\d)/, '');
+}
+
+// Numeric cells come back as written by the spreadsheet: 6297000001234, 6.297000001234E+12 or 6297000001234.0
+function numericCellText(value) {
+  return expandScientific(value).replace(/\.0+$/, '');
+}
+
+// ============================================================================
+// XLSX
+// ============================================================================
+
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/i.exec(ref || '');
+  if (!letters) return -1;
+  let index = 0;
+  for (const ch of letters[0].toUpperCase()) {
+    index = index * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// Text of a shared string or inline string, skipping phonetic runs
+function richText(node) {
+  return byTag(node, 't')
+    .filter(t => t.parentNode.localName !== 'rPh')
+    .map(t => t.textContent)
+    .join('');
+}
+
+async function readXlsx(zip) {
+  const workbook = parseXml(await zip.text('xl/workbook.xml'));
+  const rels = parseXml(await zip.text('xl/_rels/workbook.xml.rels'));
+  const targets = new Map(byTag(rels, 'Relationship').map(rel => [rel.getAttribute('Id'), rel.getAttribute('Target')]));
+
+  const sharedText = await zip.text('xl/sharedStrings.xml');
+  const sharedStrings = sharedText ? byTag(parseXml(sharedText), 'si').map(richText) : [];
+
+  return byTag(workbook, 'sheet').map(sheet => {
+    const relId = sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') || sheet.getAttribute('r:id');
+    const target = targets.get(relId) || '';
+    const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    return {
+      name: sheet.getAttribute('name'),
+      readRows: async () => readXlsxSheet(await zip.text(path), sharedStrings)
+    };
+  });
+}
+
+function readXlsxSheet(text, sharedStrings) {
+  if (!text) return [];
+  const rows = [];
+
+  for (const row of byTag(parseXml(text), 'row')) {
+    const cols = [];
+    let next = 0;
+    for (const cell of byTag(row, 'c')) {
+      const ref = columnIndex(cell.getAttribute('r'));
+      const col = ref === -1 ? next : ref;
+      const type = cell.getAttribute('t') || 'n';
+      const v = byTag(cell, 'v')[0];
+      const raw = v ? v.textContent : '';
+
+      let value;
+      if (type === 's') value = sharedStrings[Number(raw)] || '';
+      else if (type === 'inlineStr') value = richText(cell);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (type === 'n') value = raw ? numericCellText(raw) : '';
+      else value = raw;
+
+      while (cols.length < col) cols.push('');
+      cols[col] = value.trim();
+      next = col + 1;
+    }
+    if (cols.some(value => value !== '')) {
+      rows.push({ line: Number(row.getAttribute('r')) || rows.length + 1, cols });
+    }
+  }
+
+  return rows;
+}
+
+// ============================================================================
+// ODS
+// ============================================================================
+
+async function readOds(zip) {
+  const content = parseXml(await zip.text('content.xml'));
+  return Array.from(content.getElementsByTagNameNS(ODS_TABLE_NS, 'table')).map(table => ({
+    name: table.getAttributeNS(ODS_TABLE_NS, 'name'),
+    readRows: async () => readOdsTable(table)
+  }));
+}
+
+function odsCellText(cell) {
+  const type = cell.getAttributeNS(ODS_OFFICE_NS, 'value-type');
+  if (type === 'float' || type === 'percentage' || type === 'currency') {
+    return numericCellText(cell.getAttributeNS(ODS_OFFICE_NS, 'value') || '');
+  }
+  return byTag(cell, 'p').map(p => p.textContent).join('\n').trim();
+}
+
+function readOdsTable(table) {
+  const rows = [];
+  let line = 0;
+
+  for (const row of Array.from(table.getElementsByTagNameNS(ODS_TABLE_NS, 'table-row'))) {
+    const rowRepeat = Number(row.getAttributeNS(ODS_TABLE_NS, 'number-rows-repeated')) || 1;
+    const cols = [];
+    for (const cell of Array.from(row.children)) {
+      if (cell.localName !== 'table-cell' && cell.localName !== 'covered-table-cell') continue;
+      const value = odsCellText(cell);
+      const repeat = Number(cell.getAttributeNS(ODS_TABLE_NS, 'number-columns-repeated')) || 1;
+      // Trailing blank cells are often repeated to the sheet's full width
+      for (let i = 0; i < (value === '' ? Math.min(repeat, ODS_MAX_REPEAT) : repeat); i++) {
+        cols.push(value);
+      }
+    }
+    while (cols.length > 0 && cols[cols.length - 1] === '') cols.pop();
+
+    if (cols.length > 0) {
+      for (let i = 0; i < Math.min(rowRepeat, ODS_MAX_REPEAT); i++) {
+        rows.push({ line: line + i + 1, cols });
+      }
+    }
+    line += rowRepeat;
+  }
+
+  return rows;
+}
+
+// ============================================================================
+// WORKBOOK
+// ============================================================================
+
+// Returns the sheets as [{ name, readRows() }]; rows are { line, cols } like the CSV reader
+async function readWorkbook(file) {
+  const zip = await readZipEntries(await file.arrayBuffer());
+  if (zip.has('xl/workbook.xml')) return readXlsx(zip);
+  if (zip.has('content.xml')) return readOds(zip);
+  throw new Error('Unrecognised workbook; expected XLSX or ODS');
+}
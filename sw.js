@@ -3,11 +3,16 @@
  * Enables offline functionality and caching
  */
 
-const CACHE_NAME = 'gs1-parser-v1';
+const CACHE_NAME = 'gs1-parser-v5';
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
   '/app.js',
+  '/decoder.js',
+  '/decode-worker.js',
+  '/spreadsheet.js',
+  '/verification.js',
+  '/vendor/zxing-library.min.js',
   '/manifest.json',
   '/icons/icon-192.png',
   '/icons/icon-512.png',
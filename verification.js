@@ -0,0 +1,167 @@
+/**
+ * GS1 Parser PWA - Pack Verification
+ * Pack-status state machine modelled on the FMD/DSCSA decommissioning states, and the
+ * adapters the app talks to a verification service through. Shared with the mock server
+ * in scripts/mock-verification-server.js, so it stays free of DOM and IndexedDB calls.
+ */
+
+const PACK_STATUSES = {
+  active: { label: 'Active', badge: 'ok' },
+  dispensed: { label: 'Dispensed', badge: 'soon' },
+  sample: { label: 'Sample', badge: 'soon' },
+  returned: { label: 'Returned', badge: 'missing' },
+  destroyed: { label: 'Destroyed', badge: 'expired' },
+  stolen: { label: 'Stolen', badge: 'expired' }
+};
+
+// Destroyed and stolen are final; the way back to active is an undo, or a saleable return
+const PACK_TRANSITIONS = {
+  active: ['dispensed', 'sample', 'returned', 'destroyed', 'stolen'],
+  dispensed: ['active', 'returned'],
+  sample: ['active'],
+  returned: ['active', 'destroyed'],
+  destroyed: [],
+  stolen: []
+};
+
+// As under the FMD, a dispense or sample can only be undone for a few days
+const PACK_UNDOABLE = ['dispensed', 'sample'];
+const PACK_UNDO_DAYS = 10;
+
+// An expired pack may still be destroyed or returned, but not handed out
+const PACK_EXPIRY_BLOCKED = ['active', 'dispensed', 'sample'];
+
+const VERIFICATION_TIMEOUT_MS = 8000;
+
+function packStatusLabel(status) {
+  return PACK_STATUSES[status] ? PACK_STATUSES[status].label : status;
+}
+
+// Only the fields verification needs; the status starts as active, as for a pack just received
+function createPack(entry) {
+  return {
+    gtin14: entry.gtin14,
+    serial: entry.serial,
+    batch: entry.batch || '',
+    expiry: entry.expiry || '',
+    productName: entry.productName || '',
+    status: 'active',
+    updatedAt: null,
+    events: []
+  };
+}
+
+function isPackExpired(pack, now) {
+  if (!pack.expiry) return false;
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const expiry = new Date(pack.expiry);
+  expiry.setHours(0, 0, 0, 0);
+  return expiry < today;
+}
+
+// Returns why the pack cannot move to the status, or '' when it can
+function checkPackTransition(pack, to, now = new Date()) {
+  const from = pack.status;
+  if (!PACK_STATUSES[to]) return `Unknown status "${to}"`;
+  if (from === to) return `Already ${packStatusLabel(to).toLowerCase()}`;
+  if (PACK_TRANSITIONS[from].length === 0) return `${packStatusLabel(from)} is final`;
+  if (!PACK_TRANSITIONS[from].includes(to)) {
+    return `${packStatusLabel(from)} packs cannot be set to ${packStatusLabel(to).toLowerCase()}`;
+  }
+  if (to === 'active' && PACK_UNDOABLE.includes(from) && pack.updatedAt) {
+    const days = (new Date(now).getTime() - new Date(pack.updatedAt).getTime()) / (1000 * 60 * 60 * 24);
+    if (days > PACK_UNDO_DAYS) return `${packStatusLabel(from)} can only be undone within ${PACK_UNDO_DAYS} days`;
+  }
+  if (PACK_EXPIRY_BLOCKED.includes(to) && isPackExpired(pack, now)) {
+    return `Expired packs cannot be set to ${packStatusLabel(to).toLowerCase()}`;
+  }
+  return '';
+}
+
+// Returns the pack with the new status and the change logged; throws if the move is not allowed
+function applyPackTransition(pack, to, { at = new Date().toISOString(), by = '', reason = '' } = {}) {
+  const error = checkPackTransition(pack, to, at);
+  if (error) throw new Error(error);
+  return {
+    ...pack,
+    status: to,
+    updatedAt: at,
+    events: [...pack.events, { from: pack.status, to, at, by, reason }]
+  };
+}
+
+// ============================================================================
+// VERIFICATION ADAPTERS
+// ============================================================================
+
+// Every adapter has the same shape:
+//   name
+//   check()                  -> resolves when the service can be reached, rejects otherwise
+//   verify(pack)             -> { status, message }; status is null when the service does not know the pack
+//   setStatus(pack, from, to) -> { ok, status, message }
+function createVerificationAdapter(settings) {
+  if (settings.verificationMode === 'http' && settings.verificationUrl) {
+    return createHttpVerificationAdapter(settings.verificationUrl);
+  }
+  return createLocalVerificationAdapter();
+}
+
+// No service: the local state machine is the only record
+function createLocalVerificationAdapter() {
+  return {
+    name: 'Local only',
+    check: async () => {},
+    verify: async (pack) => ({ status: pack.status, message: '' }),
+    setStatus: async (pack, from, to) => ({ ok: true, status: to, message: '' })
+  };
+}
+
+// A JSON service: GET {base}/packs/{gtin}/{serial} and POST {base}/packs/{gtin}/{serial}/status
+function createHttpVerificationAdapter(baseUrl) {
+  const base = baseUrl.replace(/\/+$/, '');
+  const packUrl = (pack) => `${base}/packs/${encodeURIComponent(pack.gtin14)}/${encodeURIComponent(pack.serial)}`;
+
+  async function request(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), VERIFICATION_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, {
+        ...options,
+        cache: 'no-store',
+        headers: { 'Content-Type': 'application/json' },
+        signal: controller.signal
+      });
+      const body = await response.json().catch(() => ({}));
+      return { response, body };
+    } catch (err) {
+      throw new Error(err.name === 'AbortError' ? 'Verification service did not answer in time' : 'Verification service cannot be reached');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    name: base,
+    check: async () => {
+      const { response } = await request(`${base}/health`);
+      if (!response.ok) throw new Error(`Verification service answered ${response.status}`);
+    },
+    verify: async (pack) => {
+      const query = new URLSearchParams({ batch: pack.batch, expiry: pack.expiry });
+      const { response, body } = await request(`${packUrl(pack)}?${query}`);
+      if (response.status === 404) return { status: null, message: body.message || 'Pack unknown to the verification service' };
+      if (!response.ok) throw new Error(body.message || `Verification service answered ${response.status}`);
+      return { status: body.status, message: body.message || '' };
+    },
+    setStatus: async (pack, from, to) => {
+      const { response, body } = await request(`${packUrl(pack)}/status`, {
+        method: 'POST',
+        body: JSON.stringify({ batch: pack.batch, expiry: pack.expiry, from, to })
+      });
+      if (response.ok) return { ok: true, status: body.status || to, message: body.message || '' };
+      if (response.status >= 500) throw new Error(body.message || `Verification service answered ${response.status}`);
+      return { ok: false, status: body.status || null, message: body.message || `Rejected (${response.status})` };
+    }
+  };
+}